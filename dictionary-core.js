@@ -0,0 +1,1720 @@
+// ============================================
+// THUMAL DICTIONARY CORE
+// Search and indexing logic shared by the page (script.js) and the
+// dictionary worker (dictionary-worker.js). Nothing here touches the DOM.
+// ============================================
+
+// Configuration
+const MAX_SUGGESTIONS = 8;
+const MAX_AUTOCOMPLETE = 8;
+const DB_NAME = 'thumal';
+const DB_VERSION = 3;
+const DICTIONARY_STORE = 'dictionary';
+const TRANSLATION_STORE = 'translations';
+const OVERLAY_STORE = 'overlay';
+// Bump when extractMizoWords, findGlossPositions, scoreReverseMatch or
+// parseEntry change, so saved indexes are rebuilt instead of reused
+const INDEX_SCHEMA_VERSION = 2;
+const PATCH_FORMAT = 'thumal-dictionary-patch';
+const QUIZ_CHOICES = 4;
+const MAX_PREFIX_TERMS = 200;
+const MAX_PATTERN_RESULTS = 200;
+// Entries that must gloss a word before it counts as Mizo rather than as an
+// English inflection (see isCommonMizoWord)
+const MIN_MIZO_GLOSSES = 30;
+
+// ============================================
+// LOADING & UPDATES
+// ============================================
+
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}`);
+    }
+    return response.json();
+}
+
+// dictionary-version.json names the current data version and the delta files
+// that step from one version to the next. Missing (e.g. offline) is fine.
+async function fetchDictionaryManifest() {
+    try {
+        return await fetchJson('dictionary-version.json');
+    } catch (error) {
+        console.warn('⚠ Dictionary version manifest unavailable:', error.message);
+        return null;
+    }
+}
+
+// Chain of deltas leading from the stored version to the current one, or
+// null when there is no such chain and a full download is needed
+function findDeltaPath(fromVersion, manifest) {
+    const deltas = manifest.deltas || [];
+    const path = [];
+    let version = fromVersion;
+    
+    while (version !== manifest.version) {
+        const step = deltas.find(delta => delta.from === version);
+        if (!step || path.length >= deltas.length) {
+            return null;
+        }
+        path.push(step);
+        version = step.to;
+    }
+    
+    return path;
+}
+
+// ============================================
+// DICTIONARY STORE (IndexedDB)
+// ============================================
+
+// v1: dictionary store
+// v2: translations store (the page's online translation cache)
+// v3: overlay store (the user's own additions and corrections)
+// One connection per page or worker, opened on first use and shared.
+let databaseConnection = null;
+
+function openDatabase() {
+    if (!databaseConnection) {
+        databaseConnection = connectDatabase().catch(error => {
+            databaseConnection = null;  // try again next time
+            throw error;
+        });
+    }
+    return databaseConnection;
+}
+
+function connectDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(DICTIONARY_STORE)) {
+                db.createObjectStore(DICTIONARY_STORE);
+            }
+            if (!db.objectStoreNames.contains(TRANSLATION_STORE)) {
+                db.createObjectStore(TRANSLATION_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(OVERLAY_STORE)) {
+                db.createObjectStore(OVERLAY_STORE, { keyPath: 'word' });
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version of the app (another tab) upgrade the schema;
+            // the next call here reconnects
+            db.onversionchange = () => {
+                db.close();
+                databaseConnection = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readDictionaryStore() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(DICTIONARY_STORE, 'readonly')
+            .objectStore(DICTIONARY_STORE)
+            .get('current');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function writeDictionaryStore(record) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(DICTIONARY_STORE, 'readwrite');
+        transaction.objectStore(DICTIONARY_STORE).put(record, 'current');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Translation cache records: { key, direction, word, translation, savedAt, lastUsed }
+async function readAllTranslations() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(TRANSLATION_STORE, 'readonly')
+            .objectStore(TRANSLATION_STORE)
+            .getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Stores every record in `put` and removes every key in `remove`, together
+async function updateTranslationStore(put = [], remove = []) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TRANSLATION_STORE, 'readwrite');
+        const store = transaction.objectStore(TRANSLATION_STORE);
+        put.forEach(record => store.put(record));
+        remove.forEach(key => store.delete(key));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function clearTranslationStore() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TRANSLATION_STORE, 'readwrite');
+        transaction.objectStore(TRANSLATION_STORE).clear();
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Overlay records: { word, definition?, note?, hidden?, updatedAt }
+async function readOverlayRecords() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(OVERLAY_STORE, 'readonly')
+            .objectStore(OVERLAY_STORE)
+            .getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function updateOverlayStore(put = [], remove = []) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OVERLAY_STORE, 'readwrite');
+        const store = transaction.objectStore(OVERLAY_STORE);
+        put.forEach(record => store.put(record));
+        remove.forEach(word => store.delete(word));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Stored without the definition text, which would otherwise be repeated
+// once per Mizo word: { mizoWord: [[englishWord, score], ...] }
+function compactReverseDictionary(reverseEntries) {
+    const compact = {};
+    for (const [mizoWord, results] of Object.entries(reverseEntries)) {
+        compact[mizoWord] = results.map(result => [result.english, result.score]);
+    }
+    return compact;
+}
+
+function expandReverseDictionary(compact, englishEntries) {
+    const reverseEntries = {};
+    for (const [mizoWord, results] of Object.entries(compact)) {
+        reverseEntries[mizoWord] = results.map(([english, score]) => ({
+            english: english,
+            fullDefinition: englishEntries[english],
+            score: score
+        }));
+    }
+    return reverseEntries;
+}
+
+// ============================================
+// MIZO WORDS
+// ============================================
+
+function extractMizoWords(definition) {
+    const words = definition
+        .normalize('NFC')
+        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, ' ')
+        .split(/\s+/)
+        .filter(word => 
+            word.length > 2 && 
+            !word.match(/^[0-9]/) && 
+            !word.match(/[A-Z]/) &&
+            word.match(/^[a-zâêîôûṭ\u1000-\u109F]+$/)
+        );
+    return [...new Set(words)];
+}
+
+// Where each Mizo word first appears in a definition, counted in glosses
+// (the comma/semicolon separated translations). Parenthesised text holds
+// examples and notes, so words only found there are flagged as such.
+// Part-of-speech markers ("v.t.") and fragments without a Mizo word are
+// not glosses, so they don't push the real ones back.
+function findGlossPositions(definition) {
+    const positions = new Map();
+    const main = definition.normalize('NFC')
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(POS_MARKER, '$1 ');
+    const glosses = main.split(/[,;.]/)
+        .map(gloss => extractMizoWords(gloss))
+        .filter(words => words.length > 0);
+    
+    glosses.forEach((words, index) => {
+        words.forEach(word => {
+            if (!positions.has(word)) {
+                positions.set(word, { index: index, glossSize: words.length, inExample: false });
+            }
+        });
+    });
+    
+    extractMizoWords(definition).forEach(word => {
+        if (!positions.has(word)) {
+            positions.set(word, { index: glosses.length, glossSize: 0, inExample: true });
+        }
+    });
+    
+    return positions;
+}
+
+// Higher is better: the first gloss of a short entry ("abash" → "tizak")
+// beats a word buried in a long definition or an example sentence
+function scoreReverseMatch(position, definitionLength) {
+    let score = 50 / (position.index + 1);
+    if (position.glossSize === 1) {
+        score += 25;
+    } else if (position.glossSize <= 3) {
+        score += 10;
+    }
+    if (position.inExample) {
+        score -= 15;
+    }
+    return score - Math.min(20, definitionLength / 25);
+}
+
+// Strip the Mizo circumflex vowels (â ê î ô û) and ṭ down to plain letters,
+// so "chungchang" typed on a plain keyboard can find "chungchâng"
+function foldDiacritics(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+function normalizeQuery(text) {
+    return text.normalize('NFC').toLowerCase().trim();
+}
+
+// Reverse results for a Mizo word: entries under the exact spelling first,
+// then those under any accented spelling that folds to the same letters.
+// Each result records the form it matched and whether that was exact.
+function lookupMizo(word, reverseEntries, foldedEntries) {
+    const results = [];
+    const seen = new Set();
+    
+    const addResults = (mizoWord, exact) => {
+        (reverseEntries[mizoWord] || []).forEach(result => {
+            if (seen.has(result.english)) return;
+            seen.add(result.english);
+            results.push({ ...result, matchedForm: mizoWord, exact: exact });
+        });
+    };
+    
+    addResults(word, true);
+    (foldedEntries[foldDiacritics(word)] || []).forEach(mizoWord => {
+        if (mizoWord !== word) {
+            addResults(mizoWord, false);
+        }
+    });
+    
+    // Exact-accent matches stay ahead of loose ones; relevance within each
+    return results.sort((a, b) => (b.exact - a.exact) || (b.score - a.score));
+}
+
+// ============================================
+// AUTOCOMPLETE (prefix index)
+// ============================================
+
+// Sorted list of every English headword and Mizo reverse key, so the words
+// starting with a prefix sit in one contiguous run found by binary search.
+// Sorted on the diacritic-folded key so "chungch" also reaches "chungchâng".
+function buildPrefixIndex(englishEntries, mizoEntries, derivedEntries = {}) {
+    const index = [];
+    const add = (word, direction) => index.push({ word, key: foldDiacritics(word), direction });
+    Object.keys(englishEntries).forEach(word => add(word, 'english'));
+    Object.keys(derivedEntries).forEach(word => add(word, 'english'));
+    Object.keys(mizoEntries).forEach(word => add(word, 'mizo'));
+    index.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    return index;
+}
+
+// direction limits matches to 'english' or 'mizo'; leave it out for both
+function findPrefixMatches(prefix, index, direction, limit = MAX_AUTOCOMPLETE) {
+    const word = normalizeQuery(prefix);
+    const key = foldDiacritics(word);
+    if (!key) return [];
+    
+    let low = 0;
+    let high = index.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (index[mid].key < key) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    
+    // Gather a generous run, then show the shortest (most likely) words first
+    const matches = [];
+    for (let i = low; i < index.length && matches.length < limit * 20; i++) {
+        if (!index[i].key.startsWith(key)) break;
+        if (!direction || index[i].direction === direction) {
+            matches.push(index[i]);
+        }
+    }
+    
+    // Words typed with the exact accents come before loose matches
+    matches.sort((a, b) =>
+        (a.word.startsWith(word) ? 0 : 1) - (b.word.startsWith(word) ? 0 : 1) ||
+        a.word.length - b.word.length
+    );
+    return matches.slice(0, limit);
+}
+
+// ============================================
+// FUZZY MATCHING ("Did you mean…")
+// ============================================
+
+// Bucket every English headword and Mizo reverse key by length, so a lookup
+// only compares against words that can be within the edit-distance limit
+function buildFuzzyIndex(englishEntries, mizoEntries, derivedEntries = {}) {
+    const directions = new Map();
+    Object.keys(mizoEntries).forEach(word => directions.set(word, 'mizo'));
+    // English wins when a word is in both, matching the order searchOffline() tries
+    Object.keys(derivedEntries).forEach(word => directions.set(word, 'english'));
+    Object.keys(englishEntries).forEach(word => directions.set(word, 'english'));
+    
+    // Compared on diacritic-folded keys, so a missing circumflex costs nothing
+    const buckets = new Map();
+    directions.forEach((direction, word) => {
+        const key = foldDiacritics(word);
+        if (!buckets.has(key.length)) {
+            buckets.set(key.length, []);
+        }
+        buckets.get(key.length).push({ word, key, direction });
+    });
+    return buckets;
+}
+
+function maxEditDistance(word) {
+    if (word.length <= 4) return 1;
+    if (word.length <= 8) return 2;
+    return 3;
+}
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions
+// ("recieve" → "receive" costs 1). Gives up and returns maxDistance + 1 as
+// soon as a whole row is over the limit. Rows are reused between calls since
+// a lookup runs this against thousands of candidates.
+const editRows = [new Uint16Array(64), new Uint16Array(64), new Uint16Array(64)];
+
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+    if (b.length + 1 > editRows[0].length) {
+        for (let r = 0; r < 3; r++) {
+            editRows[r] = new Uint16Array(b.length + 1);
+        }
+    }
+    
+    let [prevPrev, prev, current] = editRows;
+    for (let j = 0; j <= b.length; j++) {
+        prev[j] = j;
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+        const charA = a.charCodeAt(i - 1);
+        current[0] = i;
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const charB = b.charCodeAt(j - 1);
+            let value = prev[j - 1] + (charA === charB ? 0 : 1);
+            if (prev[j] + 1 < value) value = prev[j] + 1;
+            if (current[j - 1] + 1 < value) value = current[j - 1] + 1;
+            if (i > 1 && j > 1 && charA === b.charCodeAt(j - 2) &&
+                a.charCodeAt(i - 2) === charB && prevPrev[j - 2] + 1 < value) {
+                value = prevPrev[j - 2] + 1;
+            }
+            current[j] = value;
+            if (value < rowMin) rowMin = value;
+        }
+        
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        [prevPrev, prev, current] = [prev, current, prevPrev];
+    }
+    
+    return prev[b.length];
+}
+
+function findSimilarWords(query, index, limit = MAX_SUGGESTIONS) {
+    const word = foldDiacritics(normalizeQuery(query));
+    if (!word) return [];
+    
+    const maxDistance = maxEditDistance(word);
+    const matches = [];
+    
+    for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+        const bucket = index.get(length);
+        if (!bucket) continue;
+        
+        for (const candidate of bucket) {
+            if (candidate.key === word) continue;
+            const distance = editDistance(word, candidate.key, maxDistance);
+            if (distance <= maxDistance) {
+                matches.push({ ...candidate, distance });
+            }
+        }
+    }
+    
+    // Closest first; then prefer the same first letter (typos rarely start
+    // there), English headwords, and similar length
+    matches.sort((a, b) =>
+        a.distance - b.distance ||
+        (b.word[0] === word[0]) - (a.word[0] === word[0]) ||
+        (a.direction === 'english' ? 0 : 1) - (b.direction === 'english' ? 0 : 1) ||
+        Math.abs(a.word.length - word.length) - Math.abs(b.word.length - word.length) ||
+        a.word.localeCompare(b.word)
+    );
+    
+    return matches.slice(0, limit);
+}
+
+// ============================================
+// ENTRY PARSER
+// ============================================
+
+// Part-of-speech tags as they appear in dictionary.json. Combined tags such
+// as "v.t.,v.i." or "adv., prep." are matched as one marker.
+const POS_TAG = '(?:n|v\\.t|v\\.i|v|adj|adv|prep|conj|pron|interj)\\.';
+
+const POS_MARKER = new RegExp(`(^|[\\s,;(])(${POS_TAG}(?:\\s*,\\s*${POS_TAG})*)(?=[\\s,;)]|$)`, 'g');
+
+// An English headword (up to three words) with an optional respelling,
+// sitting just before a part-of-speech marker: "eviction, n." or "goad (gowd), n."
+const DERIVED_HEAD = /(^|[\s.,;])([a-z][a-z'-]*(?:\s[a-z][a-z'-]*){0,2})\s*,?\s*(?:\(([^)]*)\))?\s*,?\s*$/;
+
+// Split a free-text definition into its pronunciation respelling, senses
+// (each with its part-of-speech tags) and derived headwords such as
+// "eviction, n." embedded in the "evict" entry.
+function parseEntry(headword, text) {
+    const entry = {
+        headword: headword,
+        pronunciation: null,
+        senses: [],
+        derived: []
+    };
+    
+    let body = text.trim();
+    const respelling = body.match(/^\(([^)]*)\)\s*,?\s*/);
+    if (respelling) {
+        entry.pronunciation = respelling[1].trim();
+        body = body.slice(respelling[0].length);
+    }
+    
+    const markers = [...body.matchAll(POS_MARKER)];
+    const headPrefix = headword.slice(0, Math.min(3, headword.length));
+    
+    // Work out where each segment starts and whether it opens a derived form
+    const segments = [];
+    markers.forEach(marker => {
+        const markerStart = marker.index + marker[1].length;
+        const previousEnd = segments.length > 0 ? segments[segments.length - 1].textStart : 0;
+        const before = body.slice(previousEnd, markerStart);
+        const head = before.match(DERIVED_HEAD);
+        
+        let start = markerStart;
+        let derivedWord = null;
+        let pronunciation = null;
+        if (head && head[2].startsWith(headPrefix)) {
+            start = previousEnd + head.index + head[1].length;
+            derivedWord = head[2];
+            pronunciation = head[3] ? head[3].trim() : null;
+        }
+        
+        segments.push({
+            start: start,
+            textStart: markerStart + marker[2].length,
+            pos: marker[2].split(',').map(tag => tag.trim()),
+            word: derivedWord === headword ? null : derivedWord,
+            pronunciation: pronunciation
+        });
+    });
+    
+    // Text before the first marker is an untagged sense ("pangpâr kuang sei chi.")
+    const leading = cleanSenseText(body.slice(0, segments.length > 0 ? segments[0].start : body.length));
+    if (leading) {
+        entry.senses.push(...splitNumberedSenses(leading, []));
+    }
+    
+    segments.forEach((segment, i) => {
+        const end = i + 1 < segments.length ? segments[i + 1].start : body.length;
+        const senseText = cleanSenseText(body.slice(segment.textStart, end));
+        
+        if (segment.word) {
+            entry.derived.push({
+                word: segment.word,
+                pronunciation: segment.pronunciation,
+                pos: segment.pos,
+                text: senseText
+            });
+        } else if (senseText) {
+            entry.senses.push(...splitNumberedSenses(senseText, segment.pos));
+        }
+    });
+    
+    return entry;
+}
+
+// "1. kal 2. che" → two senses sharing the same tags
+function splitNumberedSenses(text, pos) {
+    const parts = text.split(/(?:^|\s)\d+\.\s+/).map(cleanSenseText).filter(Boolean);
+    return parts.map(part => ({ pos: pos, text: part }));
+}
+
+function cleanSenseText(text) {
+    return text.replace(/^[\s,;]+|[\s,;]+$/g, '');
+}
+
+// Map every derived headword that is not already a headword itself to the
+// entry it was found in, so "eviction" can be looked up and lead to "evict"
+function buildDerivedIndex(englishEntries) {
+    const index = {};
+    for (const [headword, text] of Object.entries(englishEntries)) {
+        parseEntry(headword, text).derived.forEach(form => {
+            if (!englishEntries[form.word] && !index[form.word]) {
+                index[form.word] = {
+                    parent: headword,
+                    pos: form.pos,
+                    text: form.text
+                };
+            }
+        });
+    }
+    return index;
+}
+
+// ============================================
+// ENGLISH MORPHOLOGY
+// ============================================
+
+// Irregular inflections the suffix rules below cannot undo
+const IRREGULAR_FORMS = {
+    // Verbs
+    am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be',
+    has: 'have', had: 'have', does: 'do', did: 'do', done: 'do',
+    went: 'go', gone: 'go', goes: 'go', came: 'come', ran: 'run',
+    saw: 'see', seen: 'see', ate: 'eat', eaten: 'eat',
+    said: 'say', made: 'make', took: 'take', taken: 'take',
+    gave: 'give', given: 'give', knew: 'know', known: 'know',
+    thought: 'think', brought: 'bring', bought: 'buy', caught: 'catch',
+    taught: 'teach', sought: 'seek', fought: 'fight', found: 'find',
+    told: 'tell', sold: 'sell', felt: 'feel', kept: 'keep', slept: 'sleep',
+    swept: 'sweep', wept: 'weep', left: 'leave', meant: 'mean', met: 'meet',
+    paid: 'pay', laid: 'lay', sent: 'send', spent: 'spend', built: 'build',
+    lent: 'lend', bent: 'bend', stood: 'stand', understood: 'understand',
+    held: 'hold', led: 'lead', fed: 'feed', fled: 'flee', bled: 'bleed',
+    lost: 'lose', heard: 'hear', sat: 'sit', spat: 'spit', won: 'win',
+    wrote: 'write', written: 'write', spoke: 'speak', spoken: 'speak',
+    broke: 'break', broken: 'break', chose: 'choose', chosen: 'choose',
+    drove: 'drive', driven: 'drive', rode: 'ride', ridden: 'ride',
+    rose: 'rise', risen: 'rise', froze: 'freeze', frozen: 'freeze',
+    stole: 'steal', stolen: 'steal', woke: 'wake', woken: 'wake',
+    wore: 'wear', worn: 'wear', tore: 'tear', torn: 'tear',
+    bore: 'bear', borne: 'bear', swore: 'swear', sworn: 'swear',
+    forgot: 'forget', forgotten: 'forget', hid: 'hide', hidden: 'hide',
+    bit: 'bite', bitten: 'bite', fell: 'fall', fallen: 'fall',
+    flew: 'fly', flown: 'fly', grew: 'grow', grown: 'grow',
+    threw: 'throw', thrown: 'throw', blew: 'blow', blown: 'blow',
+    drew: 'draw', drawn: 'draw', began: 'begin', begun: 'begin',
+    sang: 'sing', sung: 'sing', rang: 'ring', rung: 'ring',
+    drank: 'drink', drunk: 'drink', sank: 'sink', sunk: 'sink',
+    swam: 'swim', swum: 'swim', struck: 'strike', stuck: 'stick',
+    dug: 'dig', hung: 'hang', shot: 'shoot', shone: 'shine',
+    slid: 'slide', dealt: 'deal', dreamt: 'dream',
+    dying: 'die', lying: 'lie', tying: 'tie',
+    // Nouns
+    men: 'man', women: 'woman', children: 'child', people: 'person',
+    mice: 'mouse', lice: 'louse', geese: 'goose', feet: 'foot',
+    teeth: 'tooth', oxen: 'ox', dice: 'die', knives: 'knife',
+    wives: 'wife', lives: 'life', leaves: 'leaf', loaves: 'loaf',
+    halves: 'half', calves: 'calf', shelves: 'shelf', wolves: 'wolf',
+    thieves: 'thief', criteria: 'criterion', phenomena: 'phenomenon',
+    data: 'datum', cacti: 'cactus', fungi: 'fungus', indices: 'index',
+    // Adjectives and adverbs
+    better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+    more: 'much', most: 'much', less: 'little', least: 'little',
+    further: 'far', furthest: 'far', farther: 'far', farthest: 'far'
+};
+
+// Suffix rules tried in order; each removes `suffix` and appends every
+// ending in `replace` to produce candidate base forms
+const SUFFIX_RULES = [
+    { suffix: 'iness', replace: ['y'] },
+    { suffix: 'ness', replace: [''] },
+    { suffix: 'ily', replace: ['y'] },
+    { suffix: 'ally', replace: ['al', 'ic'] },
+    { suffix: 'bly', replace: ['ble'] },
+    { suffix: 'ly', replace: ['le', ''] },
+    { suffix: 'ies', replace: ['y', 'ie'] },
+    { suffix: 'ied', replace: ['y'] },
+    { suffix: 'ier', replace: ['y'] },
+    { suffix: 'iest', replace: ['y'] },
+    { suffix: 'ves', replace: ['f', 'fe'] },
+    { suffix: 'es', replace: ['', 'e'] },
+    { suffix: 's', replace: [''] },
+    { suffix: 'ying', replace: ['ie', 'y'] },
+    { suffix: 'ing', replace: ['', 'e'], doubled: true },
+    { suffix: 'ed', replace: ['', 'e'], doubled: true },
+    { suffix: 'est', replace: ['', 'e'], doubled: true },
+    { suffix: 'er', replace: ['', 'e'], doubled: true }
+];
+
+// Base-form candidates for an inflected word, most likely first
+function lemmaCandidates(word) {
+    const candidates = [];
+    
+    if (IRREGULAR_FORMS[word]) {
+        candidates.push(IRREGULAR_FORMS[word]);
+    }
+    
+    SUFFIX_RULES.forEach(rule => {
+        if (!word.endsWith(rule.suffix) || word.length - rule.suffix.length < 2) return;
+        
+        const stem = word.slice(0, -rule.suffix.length);
+        let endings = rule.replace;
+        // A single consonant after a short vowel was not doubled, so the
+        // silent "e" form is likelier: "hoped" → "hope", not "hop";
+        // "used" → "use", not "us"
+        if (rule.doubled && /(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(stem)) {
+            endings = [...endings].reverse();
+        }
+        endings.forEach(ending => candidates.push(stem + ending));
+        
+        // "running" → "run", "stopped" → "stop"
+        const last = stem[stem.length - 1];
+        if (rule.doubled && stem.length > 2 && last === stem[stem.length - 2] && !'aeiou'.includes(last)) {
+            candidates.push(stem.slice(0, -1));
+        }
+    });
+    
+    return candidates;
+}
+
+// The headword (or derived headword) an inflected English word comes from,
+// or null when no candidate is in the dictionary
+function findLemma(word, englishEntries, derivedEntries = {}) {
+    return lemmaCandidates(word).find(candidate =>
+        candidate !== word && (englishEntries[candidate] || derivedEntries[candidate])
+    ) || null;
+}
+
+// True for a word used as a real gloss, not just in an example, by many
+// entries. Mizo words that look like English inflections ("rang", "sang",
+// "ran") are; English that slips into a definition ("feet ruk" under
+// "fathom", "wolves" under "wolf") only shows up in a handful.
+function isCommonMizoWord(word, reverseEntries) {
+    const glossed = (reverseEntries[word] || []).filter(result => {
+        const position = findGlossPositions(result.fullDefinition || '').get(word);
+        return position && !position.inExample;
+    });
+    return glossed.length >= MIN_MIZO_GLOSSES;
+}
+
+// ============================================
+// FULL-TEXT SEARCH
+// ============================================
+
+// Lowercased and diacritic-folded one character at a time, so every offset
+// in the result is also an offset in the original (NFC) text
+function foldForSearch(text) {
+    let folded = '';
+    for (const char of text.toLowerCase()) {
+        const plain = foldDiacritics(char);
+        folded += plain.length === 1 ? plain : char;
+    }
+    return folded;
+}
+
+function tokenizeForSearch(foldedText) {
+    return foldedText.match(/[a-z0-9]+/g) || [];
+}
+
+// Inverted index over every definition: token → ids of the entries using it,
+// plus the sorted token list for prefix* lookups
+function buildFullTextIndex(englishEntries) {
+    const words = Object.keys(englishEntries);
+    const texts = words.map(word => englishEntries[word].normalize('NFC'));
+    const folded = texts.map(foldForSearch);
+    const postings = new Map();
+    
+    folded.forEach((text, id) => {
+        new Set(tokenizeForSearch(text)).forEach(token => {
+            if (!postings.has(token)) {
+                postings.set(token, []);
+            }
+            postings.get(token).push(id);
+        });
+    });
+    
+    return { words: words, texts: texts, folded: folded, postings: postings, tokens: [...postings.keys()].sort() };
+}
+
+// Query syntax: words, "quoted phrases", prefix*, AND (also implied between
+// terms), OR, NOT and parentheses. NOT binds tightest, then AND, then OR.
+// Returns a tree of { op: 'and'|'or'|'not', children } and
+// { term, kind: 'word'|'prefix'|'phrase' } nodes, or null for an empty query.
+function parseFullTextQuery(query) {
+    const tokens = [];
+    const pattern = /"([^"]*)"?|(\()|(\))|([^\s"()]+)/g;
+    let depth = 0;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1] !== undefined) {
+            const words = tokenizeForSearch(foldForSearch(match[1].normalize('NFC')));
+            if (words.length === 1) tokens.push({ term: words[0], kind: 'word' });
+            else if (words.length > 1) tokens.push({ term: words, kind: 'phrase' });
+        } else if (match[2]) {
+            tokens.push({ paren: '(' });
+            depth++;
+        } else if (match[3]) {
+            // A stray ")" is skipped rather than ending the query there
+            if (depth > 0) {
+                tokens.push({ paren: ')' });
+                depth--;
+            }
+        } else if (/^(AND|OR|NOT)$/.test(match[4])) {
+            tokens.push({ operator: match[4] });
+        } else {
+            const isPrefix = match[4].endsWith('*');
+            const words = tokenizeForSearch(foldForSearch(match[4].normalize('NFC')));
+            if (words.length === 1) {
+                tokens.push({ term: words[0], kind: isPrefix ? 'prefix' : 'word' });
+            } else if (words.length > 1) {
+                // "thil-nung" and the like behave as a phrase
+                tokens.push({ term: words, kind: 'phrase' });
+            }
+        }
+    }
+    
+    let position = 0;
+    const peek = () => tokens[position];
+    
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().operator === 'OR') {
+            position++;
+            children.push(parseAnd());
+        }
+        const present = children.filter(Boolean);
+        return present.length > 1 ? { op: 'or', children: present } : present[0] || null;
+    }
+    
+    function parseAnd() {
+        const children = [];
+        while (peek() && peek().operator !== 'OR' && peek().paren !== ')') {
+            if (peek().operator === 'AND') {
+                position++;
+                continue;
+            }
+            children.push(parseNot());
+        }
+        const present = children.filter(Boolean);
+        return present.length > 1 ? { op: 'and', children: present } : present[0] || null;
+    }
+    
+    function parseNot() {
+        const token = tokens[position++];
+        if (token.operator === 'NOT') {
+            const child = peek() && peek().operator !== 'OR' ? parseNot() : null;
+            return child ? { op: 'not', children: [child] } : null;
+        }
+        if (token.paren === '(') {
+            const inner = parseOr();
+            if (peek() && peek().paren === ')') position++;
+            return inner;
+        }
+        return token.term ? token : null;
+    }
+    
+    const tree = parseOr();
+    return tree;
+}
+
+// Regex finding a term in folded text, bounded by non-letters
+function fullTextPattern(node) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let body;
+    if (node.kind === 'phrase') {
+        body = node.term.map(escape).join('[^a-z0-9]+');
+    } else if (node.kind === 'prefix') {
+        body = `${escape(node.term)}[a-z0-9]*`;
+    } else {
+        body = escape(node.term);
+    }
+    return new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'g');
+}
+
+// Ids of the entries a term can match, before phrases are checked in order
+function fullTextCandidates(node, index) {
+    if (node.kind === 'word') {
+        return new Set(index.postings.get(node.term) || []);
+    }
+    
+    if (node.kind === 'prefix') {
+        const ids = new Set();
+        let low = 0;
+        let high = index.tokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (index.tokens[mid] < node.term) low = mid + 1;
+            else high = mid;
+        }
+        for (let i = low, n = 0; i < index.tokens.length && n < MAX_PREFIX_TERMS; i++, n++) {
+            if (!index.tokens[i].startsWith(node.term)) break;
+            index.postings.get(index.tokens[i]).forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+    
+    // Phrase: entries having every word, then confirmed against the text
+    let ids = null;
+    node.term.forEach(word => {
+        const posting = new Set(index.postings.get(word) || []);
+        ids = ids ? new Set([...ids].filter(id => posting.has(id))) : posting;
+    });
+    const pattern = fullTextPattern(node);
+    return new Set([...ids].filter(id => {
+        pattern.lastIndex = 0;
+        return pattern.test(index.folded[id]);
+    }));
+}
+
+function evaluateFullText(node, index) {
+    if (node.term) {
+        return fullTextCandidates(node, index);
+    }
+    
+    const sets = node.children.map(child => evaluateFullText(child, index));
+    if (node.op === 'not') {
+        const all = new Set(index.words.keys());
+        sets[0].forEach(id => all.delete(id));
+        return all;
+    }
+    if (node.op === 'or') {
+        return new Set(sets.flatMap(set => [...set]));
+    }
+    return sets.reduce((result, set) => new Set([...result].filter(id => set.has(id))));
+}
+
+// Terms that count towards ranking and highlighting (not the NOT ones)
+function positiveTerms(node, negated = false, terms = []) {
+    if (node.term) {
+        if (!negated) terms.push(node);
+    } else {
+        node.children.forEach(child => positiveTerms(child, negated !== (node.op === 'not'), terms));
+    }
+    return terms;
+}
+
+// Ranked results with the [start, end] spans to highlight in each definition.
+// Rarer terms weigh more; repeats, an early first match and a short
+// definition all help.
+function searchFullText(query, index) {
+    const tree = parseFullTextQuery(query);
+    if (!tree) return [];
+    
+    const ids = evaluateFullText(tree, index);
+    const terms = positiveTerms(tree).map(node => ({
+        pattern: fullTextPattern(node),
+        weight: Math.log(1 + index.words.length / (1 + fullTextCandidates(node, index).size))
+    }));
+    
+    const results = [...ids].map(id => {
+        const text = index.folded[id];
+        const highlights = [];
+        let score = 0;
+        
+        terms.forEach(term => {
+            term.pattern.lastIndex = 0;
+            let count = 0;
+            let match;
+            while ((match = term.pattern.exec(text)) !== null) {
+                highlights.push([match.index, match.index + match[0].length]);
+                count++;
+            }
+            if (count > 0) {
+                score += term.weight * (1 + Math.log(count));
+            }
+        });
+        
+        highlights.sort((a, b) => a[0] - b[0]);
+        if (highlights.length > 0) {
+            score += 2 / (1 + highlights[0][0] / 20);
+        }
+        score -= Math.min(2, text.length / 400);
+        
+        return { word: index.words[id], definition: index.texts[id], highlights: mergeSpans(highlights), score: score };
+    });
+    
+    return results.sort((a, b) => b.score - a.score || a.word.localeCompare(b.word));
+}
+
+// Overlapping spans (a prefix* inside a phrase, say) become one
+function mergeSpans(spans) {
+    const merged = [];
+    spans.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+// ============================================
+// WORD FINDER (patterns & anagrams)
+// ============================================
+
+function letterSignature(word) {
+    return word.split('').sort().join('');
+}
+
+// Single-word headwords grouped by length and by sorted letters, so a
+// pattern only scans one length bucket and an anagram is one lookup
+function buildPatternIndex(englishEntries) {
+    const byLength = new Map();
+    const bySignature = new Map();
+    
+    Object.keys(englishEntries).sort().forEach(word => {
+        if (!/^[a-z]+$/.test(word)) return;
+        
+        if (!byLength.has(word.length)) byLength.set(word.length, []);
+        byLength.get(word.length).push(word);
+        
+        const signature = letterSignature(word);
+        if (!bySignature.has(signature)) bySignature.set(signature, []);
+        bySignature.get(signature).push(word);
+    });
+    
+    return { byLength: byLength, bySignature: bySignature };
+}
+
+function countLetters(text) {
+    const counts = {};
+    for (const char of text) {
+        counts[char] = (counts[char] || 0) + 1;
+    }
+    return counts;
+}
+
+// Can `word` be spelled from the rack? '?' tiles stand for any letter
+function fitsRack(word, rackCounts, blanks) {
+    const used = {};
+    let missing = 0;
+    for (const char of word) {
+        used[char] = (used[char] || 0) + 1;
+        if (used[char] > (rackCounts[char] || 0)) {
+            missing++;
+            if (missing > blanks) return false;
+        }
+    }
+    return true;
+}
+
+function containsLetters(word, requiredCounts) {
+    return Object.entries(requiredCounts).every(([char, count]) => {
+        let found = 0;
+        for (let i = word.indexOf(char); i !== -1 && found < count; i = word.indexOf(char, i + 1)) {
+            found++;
+        }
+        return found >= count;
+    });
+}
+
+// Options, all optional and combined with AND:
+//   pattern   "e?o?e": ? is one letter, * is any run of letters
+//   length    exact word length
+//   contains  letters the word must include ("zq", repeats count)
+//   rack      letters to anagram; with `subset` any word spelled from
+//             some of them, and '?' in the rack is a blank tile
+// Returns { total, results: [word] }, capped at MAX_PATTERN_RESULTS.
+function findPatternMatches(options, index) {
+    const clean = (text) => (text || '').toLowerCase().replace(/[^a-z?*]/g, '');
+    const pattern = clean(options.pattern);
+    const contains = clean(options.contains).replace(/[?*]/g, '');
+    const rack = clean(options.rack).replace(/\*/g, '?');
+    let length = Number(options.length) || null;
+    
+    if (!pattern && !contains && !rack && !length) {
+        return { total: 0, results: [] };
+    }
+    
+    // A pattern without * fixes the length; so does a full anagram
+    if (pattern && !pattern.includes('*')) {
+        if (length && length !== pattern.length) return { total: 0, results: [] };
+        length = pattern.length;
+    }
+    const blanks = (rack.match(/\?/g) || []).length;
+    const rackLetters = rack.replace(/\?/g, '');
+    if (rack && !options.subset) {
+        if (length && length !== rack.length) return { total: 0, results: [] };
+        length = rack.length;
+    }
+    
+    let candidates;
+    if (rack && !options.subset && blanks === 0) {
+        candidates = index.bySignature.get(letterSignature(rack)) || [];
+    } else if (length) {
+        candidates = index.byLength.get(length) || [];
+    } else {
+        candidates = [...index.byLength.values()].flat();
+    }
+    
+    const regex = pattern
+        ? new RegExp(`^${pattern.replace(/\?/g, '[a-z]').replace(/\*/g, '[a-z]*')}$`)
+        : null;
+    const requiredCounts = countLetters(contains);
+    const rackCounts = countLetters(rackLetters);
+    const maxLength = rack ? rack.length : Infinity;
+    const minLength = rack && options.subset ? 2 : 1;
+    
+    const matches = candidates.filter(word =>
+        word.length <= maxLength &&
+        word.length >= minLength &&
+        (!regex || regex.test(word)) &&
+        (!contains || containsLetters(word, requiredCounts)) &&
+        (!rack || fitsRack(word, rackCounts, blanks))
+    );
+    
+    // Longest words first for a rack, as a word-game player wants them
+    if (rack && options.subset) {
+        matches.sort((a, b) => b.length - a.length || a.localeCompare(b));
+    } else {
+        matches.sort();
+    }
+    
+    return { total: matches.length, results: matches.slice(0, MAX_PATTERN_RESULTS) };
+}
+
+// ============================================
+// QUIZ
+// ============================================
+
+// Difficulty follows the length of the English word, a rough stand-in for
+// how advanced the vocabulary is
+const QUIZ_BANDS = {
+    easy: { min: 3, max: 5 },
+    medium: { min: 6, max: 8 },
+    hard: { min: 9, max: Infinity }
+};
+
+// The first translation of a sense, short enough to fit on a choice button
+function quizGloss(text) {
+    const gloss = text.split(/[,;.](?:\s|$)/)[0].replace(/[\s.,;]+$/, '').trim();
+    return gloss.length > 0 && gloss.length <= 60 ? gloss : null;
+}
+
+// Question material for both directions: every single-word headword with
+// its first gloss and part of speech. A Mizo gloss that is one word becomes
+// a Mizo → English item, answered by the headword it best translates.
+function buildQuizPool(englishEntries, reverseEntries) {
+    const english = [];
+    const mizo = new Map();
+    
+    Object.entries(englishEntries).forEach(([word, text]) => {
+        if (!/^[a-z]{3,}$/.test(word)) return;
+        
+        const sense = parseEntry(word, text).senses[0];
+        const gloss = sense && quizGloss(sense.text);
+        if (!gloss) return;
+        
+        const pos = sense.pos[0] || '';
+        english.push({ prompt: word, answer: gloss, pos: pos, length: word.length });
+        
+        const results = reverseEntries[gloss];
+        if (results && !mizo.has(gloss) && results[0].english === word) {
+            mizo.set(gloss, {
+                prompt: gloss,
+                answer: word,
+                pos: pos,
+                length: word.length,
+                accepted: new Set(results.map(result => result.english))
+            });
+        }
+    });
+    
+    return { 'en-to-mizo': english, 'mizo-to-en': [...mizo.values()] };
+}
+
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Wrong answers that look right: same part of speech and a similar length
+// score highest among a random sample of the pool
+function pickDistractors(item, pool, count = QUIZ_CHOICES - 1) {
+    const sampleSize = Math.min(pool.length, 200);
+    const seen = new Set([item.answer]);
+    const candidates = [];
+    
+    for (let i = 0; i < sampleSize; i++) {
+        const other = pool[Math.floor(Math.random() * pool.length)];
+        if (seen.has(other.answer) || (item.accepted && item.accepted.has(other.answer))) continue;
+        seen.add(other.answer);
+        
+        let score = Math.random();
+        if (other.pos === item.pos) score += 2;
+        if (Math.abs(other.answer.length - item.answer.length) <= 2) score += 1;
+        if (Math.abs(other.length - item.length) <= 1) score += 0.5;
+        candidates.push({ answer: other.answer, score: score });
+    }
+    
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .map(candidate => candidate.answer);
+}
+
+// { prompt, pos, choices, answer } with `answer` the index of the right choice
+function createQuizQuestions(pool, band, count) {
+    const range = QUIZ_BANDS[band] || QUIZ_BANDS.medium;
+    const eligible = pool.filter(item => item.length >= range.min && item.length <= range.max);
+    const picked = shuffle(eligible.slice()).slice(0, count);
+    
+    return picked.map(item => {
+        const choices = shuffle([item.answer, ...pickDistractors(item, pool)]);
+        return {
+            prompt: item.prompt,
+            pos: item.pos,
+            choices: choices,
+            answer: choices.indexOf(item.answer)
+        };
+    });
+}
+
+// ============================================
+// DICTIONARY ENGINE
+// Owns the dictionary and every index built from it. It runs inside
+// dictionary-worker.js, or on the page when workers are unavailable; either
+// way the page talks to it only through handle(type, payload).
+// ============================================
+
+// onProgress receives { stage, percent, message } while load() runs
+function createDictionaryEngine(onProgress = () => {}) {
+    let dictionary = {};
+    let reverseDictionary = {};
+    let derivedIndex = {};
+    let foldedReverseIndex = {};
+    let dataVersion = null;
+    let fuzzyIndex = null;
+    let prefixIndex = null;
+    let quizPool = null;
+    let fullTextIndex = null;
+    let fullTextCache = null;  // ranked results of the last query, for paging
+    let patternIndex = null;
+    let overlay = new Map();  // word → overlay record, see PERSONAL OVERLAY below
+    let originals = new Map();  // word → shipped definition (undefined if the user added it)
+    let loading = null;
+    
+    function report(stage, percent, message) {
+        onProgress({ stage: stage, percent: Math.round(percent), message: message });
+    }
+    
+    function load() {
+        if (!loading) {
+            loading = loadDictionary().then(() => {
+                report('ready', 100, 'Ready');
+                return { dictionary: dictionary, dataVersion: dataVersion };
+            });
+        }
+        return loading;
+    }
+    
+    async function loadDictionary() {
+        const indexesRestored = await loadOfflineDictionary();
+        
+        if (!indexesRestored) {
+            // Create reverse dictionary for Mizo→English
+            createReverseDictionary();
+            
+            // Index derived forms ("eviction" inside "evict") as searchable words
+            report('derived', 85, 'Indexing derived forms…');
+            derivedIndex = buildDerivedIndex(dictionary);
+            
+            // Keep both for the next visit
+            saveDictionaryStore();
+        }
+        
+        // The user's own additions and corrections go on top; only the
+        // shipped dictionary is ever saved to the dictionary store
+        await loadOverlay();
+        
+        // Build the autocomplete index up front so typing stays responsive
+        report('prefix', 95, 'Preparing suggestions…');
+        getPrefixIndex();
+    }
+    
+    // Resolves true when the dictionary and its prebuilt indexes came from
+    // IndexedDB (possibly with deltas applied), false when dictionary.json was
+    // downloaded and the indexes still have to be built
+    async function loadOfflineDictionary() {
+        report('loading', 5, 'Loading dictionary…');
+        
+        let [manifest, stored] = await Promise.all([
+            fetchDictionaryManifest(),
+            readDictionaryStore().catch(error => {
+                console.warn('⚠ IndexedDB unavailable:', error);
+                return null;
+            })
+        ]);
+        
+        // Indexes saved by an older version of the app are not reused
+        if (stored && stored.indexVersion !== INDEX_SCHEMA_VERSION) {
+            console.log('Saved dictionary indexes are out of date, rebuilding');
+            stored = null;
+        }
+        
+        if (stored && (!manifest || stored.version === manifest.version)) {
+            report('restoring', 50, 'Reading saved dictionary…');
+            restoreDictionary(stored);
+            console.log(`✓ Loaded ${Object.keys(dictionary).length} words from IndexedDB (data v${dataVersion})`);
+            return true;
+        }
+        
+        const deltaPath = stored && manifest ? findDeltaPath(stored.version, manifest) : null;
+        if (deltaPath) {
+            try {
+                report('updating', 40, 'Updating dictionary…');
+                restoreDictionary(stored);
+                for (const step of deltaPath) {
+                    applyDictionaryDelta(await fetchJson(step.file));
+                }
+                derivedIndex = buildDerivedIndex(dictionary);
+                saveDictionaryStore();
+                console.log(`✓ Updated dictionary to data v${dataVersion} with ${deltaPath.length} delta(s)`);
+                return true;
+            } catch (error) {
+                console.warn('⚠ Could not apply dictionary delta, downloading in full:', error);
+            }
+        }
+        
+        report('downloading', 10, 'Downloading dictionary…');
+        dictionary = await fetchJson('dictionary.json');
+        dataVersion = manifest ? manifest.version : null;
+        console.log(`✓ Loaded ${Object.keys(dictionary).length} words (offline mode)`);
+        return false;
+    }
+    
+    // A delta file looks like:
+    // { "from": 1, "to": 2, "added": { word: definition }, "changed": { word: definition }, "removed": [word] }
+    // The reverse index is patched in place for just the affected headwords.
+    function applyDictionaryDelta(delta) {
+        if (delta.from !== dataVersion) {
+            throw new Error(`Delta expects data v${delta.from}, have v${dataVersion}`);
+        }
+        
+        const touched = new Set();
+        (delta.removed || []).forEach(word => replaceEntry(word, undefined, touched));
+        Object.entries(delta.changed || {}).forEach(([word, definition]) => replaceEntry(word, definition, touched));
+        Object.entries(delta.added || {}).forEach(([word, definition]) => replaceEntry(word, definition, touched));
+        finishReplacing(touched);
+        
+        dataVersion = delta.to;
+    }
+    
+    // Sets (or, with undefined, deletes) one headword and files the Mizo
+    // words it changed under `touched`; call finishReplacing(touched) after
+    function replaceEntry(word, definition, touched) {
+        if (dictionary[word] !== undefined) {
+            removeReverseEntries(word, dictionary[word]).forEach(mizoWord => touched.add(mizoWord));
+            delete dictionary[word];
+        }
+        if (definition !== undefined) {
+            dictionary[word] = definition;
+            addReverseEntries(word, definition).forEach(mizoWord => touched.add(mizoWord));
+        }
+    }
+    
+    function finishReplacing(touched) {
+        touched.forEach(mizoWord => {
+            if (reverseDictionary[mizoWord]) {
+                reverseDictionary[mizoWord].sort((a, b) => b.score - a.score);
+            }
+        });
+        indexReverseSpellings();
+    }
+    
+    // Create Mizo to English reverse dictionary
+    function createReverseDictionary() {
+        reverseDictionary = {};
+        const entries = Object.entries(dictionary);
+        entries.forEach(([englishWord, mizoDefinition], i) => {
+            addReverseEntries(englishWord, mizoDefinition);
+            if (i % 1000 === 0) {
+                report('indexing', 20 + 60 * (i / entries.length), 'Building Mizo → English index…');
+            }
+        });
+        
+        // Most relevant English entries first
+        Object.values(reverseDictionary).forEach(results => results.sort((a, b) => b.score - a.score));
+        
+        indexReverseSpellings();
+        console.log(`✓ Reverse dictionary created with ${Object.keys(reverseDictionary).length} Mizo words`);
+    }
+    
+    // Returns the Mizo words the entry was filed under
+    function addReverseEntries(englishWord, mizoDefinition) {
+        const mizoWords = extractMizoWords(mizoDefinition);
+        const glossPositions = findGlossPositions(mizoDefinition);
+        mizoWords.forEach(mizoWord => {
+            if (!reverseDictionary[mizoWord]) {
+                reverseDictionary[mizoWord] = [];
+            }
+            reverseDictionary[mizoWord].push({
+                english: englishWord,
+                fullDefinition: mizoDefinition,
+                score: scoreReverseMatch(glossPositions.get(mizoWord), mizoDefinition.length)
+            });
+        });
+        return mizoWords;
+    }
+    
+    function removeReverseEntries(englishWord, mizoDefinition) {
+        const mizoWords = extractMizoWords(mizoDefinition);
+        mizoWords.forEach(mizoWord => {
+            const remaining = (reverseDictionary[mizoWord] || []).filter(result => result.english !== englishWord);
+            if (remaining.length > 0) {
+                reverseDictionary[mizoWord] = remaining;
+            } else {
+                delete reverseDictionary[mizoWord];
+            }
+        });
+        return mizoWords;
+    }
+    
+    // Group accented spellings under their plain-letter form
+    function indexReverseSpellings() {
+        foldedReverseIndex = {};
+        Object.keys(reverseDictionary).forEach(mizoWord => {
+            const folded = foldDiacritics(mizoWord);
+            if (!foldedReverseIndex[folded]) {
+                foldedReverseIndex[folded] = [];
+            }
+            foldedReverseIndex[folded].push(mizoWord);
+        });
+        
+        // Headwords changed, so the lookup indexes are rebuilt on next use
+        fuzzyIndex = null;
+        prefixIndex = null;
+        quizPool = null;
+        fullTextIndex = null;
+        fullTextCache = null;
+        patternIndex = null;
+    }
+    
+    function saveDictionaryStore() {
+        writeDictionaryStore({
+            version: dataVersion,
+            indexVersion: INDEX_SCHEMA_VERSION,
+            savedAt: Date.now(),
+            entries: { ...dictionary },  // copied: the overlay is applied right after
+            reverse: compactReverseDictionary(reverseDictionary),
+            derived: derivedIndex
+        })
+            .then(() => console.log(`✓ Dictionary saved to IndexedDB (data v${dataVersion})`))
+            .catch(error => console.warn('⚠ Could not save dictionary to IndexedDB:', error));
+    }
+    
+    function restoreDictionary(stored) {
+        dictionary = stored.entries;
+        reverseDictionary = expandReverseDictionary(stored.reverse, dictionary);
+        derivedIndex = stored.derived;
+        dataVersion = stored.version;
+        indexReverseSpellings();
+    }
+    
+    // ============================================
+    // PERSONAL OVERLAY
+    // The user's additions, corrections, notes and hidden entries, kept in
+    // the overlay store and applied over the shipped dictionary (deltas
+    // included). Everything built from `dictionary` sees the merged view;
+    // `originals` remembers what each overlaid headword replaced.
+    // ============================================
+    
+    async function loadOverlay() {
+        const records = await readOverlayRecords().catch(error => {
+            console.warn('⚠ Could not read personal dictionary:', error);
+            return [];
+        });
+        if (records.length === 0) return;
+        
+        const touched = new Set();
+        records.forEach(record => applyOverlayRecord(record.word, record, touched));
+        finishReplacing(touched);
+        derivedIndex = buildDerivedIndex(dictionary);
+        console.log(`✓ Applied ${records.length} personal dictionary edits`);
+    }
+    
+    // record null takes the headword back to its shipped definition
+    function applyOverlayRecord(word, record, touched) {
+        if (originals.has(word)) {
+            replaceEntry(word, originals.get(word), touched);
+            originals.delete(word);
+        }
+        overlay.delete(word);
+        if (!record) return;
+        
+        overlay.set(word, record);
+        if (record.hidden || record.definition !== undefined) {
+            originals.set(word, dictionary[word]);
+            replaceEntry(word, record.hidden ? undefined : record.definition, touched);
+        }
+    }
+    
+    function originalDefinition(word) {
+        return originals.has(word) ? originals.get(word) : dictionary[word];
+    }
+    
+    // { word, kind, definition, original, note, updatedAt }, newest first;
+    // kind is 'added', 'edited', 'hidden' or 'annotated'
+    function listOverlay() {
+        return [...overlay.values()]
+            .map(record => {
+                const original = originalDefinition(record.word);
+                let kind = 'annotated';
+                if (record.hidden) {
+                    kind = 'hidden';
+                } else if (record.definition !== undefined) {
+                    kind = original === undefined ? 'added' : 'edited';
+                }
+                return {
+                    word: record.word,
+                    kind: kind,
+                    definition: record.definition,
+                    original: original,
+                    note: record.note || '',
+                    updatedAt: record.updatedAt
+                };
+            })
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    // Saves the user's version of a headword. A definition equal to the
+    // shipped one, an empty note and hidden: false are not stored, so
+    // editEntry({ word }) reverts the headword completely.
+    async function editEntry({ word, definition, note, hidden }) {
+        word = normalizeQuery(word || '');
+        if (!word) {
+            throw new Error('Enter a word');
+        }
+        
+        const original = originalDefinition(word);
+        const record = { word: word, updatedAt: Date.now() };
+        const text = (definition || '').trim();
+        
+        if (hidden && original !== undefined) {
+            record.hidden = true;
+        } else if (text && text !== original) {
+            record.definition = text;
+        } else if (!text && original === undefined && note) {
+            throw new Error(`"${word}" is not in the dictionary yet, so it needs a definition`);
+        }
+        if (note && note.trim()) {
+            record.note = note.trim();
+        }
+        
+        const keep = record.hidden || record.definition !== undefined || record.note;
+        await updateOverlayStore(keep ? [record] : [], keep ? [] : [word]);
+        
+        const touched = new Set();
+        applyOverlayRecord(word, keep ? record : null, touched);
+        finishReplacing(touched);
+        derivedIndex = buildDerivedIndex(dictionary);
+        
+        return { word: word, definition: dictionary[word] === undefined ? null : dictionary[word], entries: listOverlay() };
+    }
+    
+    // Every personal edit in the delta format (see applyDictionaryDelta),
+    // plus notes and the replaced text, for maintainers to review
+    function overlayPatch() {
+        const patch = {
+            format: PATCH_FORMAT,
+            base: dataVersion,
+            createdAt: new Date().toISOString(),
+            added: {},
+            changed: {},
+            removed: [],
+            notes: {},
+            original: {}
+        };
+        
+        listOverlay().forEach(entry => {
+            if (entry.kind === 'added') {
+                patch.added[entry.word] = entry.definition;
+            } else if (entry.kind === 'edited') {
+                patch.changed[entry.word] = entry.definition;
+            } else if (entry.kind === 'hidden') {
+                patch.removed.push(entry.word);
+            }
+            if (entry.note) {
+                patch.notes[entry.word] = entry.note;
+            }
+            if (entry.original !== undefined && entry.kind !== 'annotated') {
+                patch.original[entry.word] = entry.original;
+            }
+        });
+        
+        return patch;
+    }
+    
+    function getPrefixIndex() {
+        if (!prefixIndex) {
+            prefixIndex = buildPrefixIndex(dictionary, reverseDictionary, derivedIndex);
+        }
+        return prefixIndex;
+    }
+    
+    function getFuzzyIndex() {
+        if (!fuzzyIndex) {
+            fuzzyIndex = buildFuzzyIndex(dictionary, reverseDictionary, derivedIndex);
+        }
+        return fuzzyIndex;
+    }
+    
+    function getQuizPool() {
+        if (!quizPool) {
+            quizPool = buildQuizPool(dictionary, reverseDictionary);
+        }
+        return quizPool;
+    }
+    
+    // One page of full-text results: { total, results }
+    function fullText(query, offset = 0, limit = 10) {
+        if (!fullTextCache || fullTextCache.query !== query) {
+            if (!fullTextIndex) {
+                fullTextIndex = buildFullTextIndex(dictionary);
+            }
+            fullTextCache = { query: query, results: searchFullText(query, fullTextIndex) };
+        }
+        
+        const results = fullTextCache.results;
+        return { total: results.length, results: results.slice(offset, offset + limit) };
+    }
+    
+    // Word-finder matches with a short preview of each definition
+    function findWords(options) {
+        if (!patternIndex) {
+            patternIndex = buildPatternIndex(dictionary);
+        }
+        const found = findPatternMatches(options, patternIndex);
+        return {
+            total: found.total,
+            results: found.results.map(word => ({ word: word, preview: dictionary[word].slice(0, 200) }))
+        };
+    }
+    
+    // Offline search, returned as a description of what to show:
+    // { type: 'word', word, definition, label, matchedForm, searchedForm }
+    // { type: 'reverse', word, results }
+    // { type: 'none', suggestions }
+    function search(query, direction) {
+        const word = normalizeQuery(query);
+        const mizoResults = lookupMizo(word, reverseDictionary, foldedReverseIndex);
+        
+        if (direction === 'mizo' && mizoResults.length > 0) {
+            return { type: 'reverse', word: word, results: mizoResults };
+        }
+        
+        // Try English → Mizo first
+        if (dictionary[word]) {
+            return { type: 'word', word: word, definition: dictionary[word], label: 'English → Mizo' };
+        }
+        
+        // Derived form listed inside another entry ("eviction" → "evict")
+        if (derivedIndex[word]) {
+            const parent = derivedIndex[word].parent;
+            return {
+                type: 'word',
+                word: parent,
+                definition: dictionary[parent],
+                label: `"${word}" is listed under "${parent}"`,
+                matchedForm: word
+            };
+        }
+        
+        // Inflected or derived English form ("evolved" → "evolve", "mice" → "mouse"),
+        // unless the word is a common Mizo one ("rang" is not "ring")
+        const lemma = findLemma(word, dictionary, derivedIndex);
+        if (lemma && !isCommonMizoWord(word, reverseDictionary)) {
+            const parent = dictionary[lemma] ? lemma : derivedIndex[lemma].parent;
+            return {
+                type: 'word',
+                word: parent,
+                definition: dictionary[parent],
+                label: 'English → Mizo',
+                matchedForm: lemma,
+                searchedForm: word
+            };
+        }
+        
+        // Try Mizo → English reverse lookup
+        if (mizoResults.length > 0) {
+            return { type: 'reverse', word: word, results: mizoResults };
+        }
+        
+        // Not found - offer the closest headwords instead
+        return { type: 'none', suggestions: findSimilarWords(word, getFuzzyIndex()) };
+    }
+    
+    // Autocomplete matches with a short preview of what each one means
+    function suggest(prefix, direction) {
+        return findPrefixMatches(prefix, getPrefixIndex(), direction).map(match => {
+            let preview;
+            if (match.direction === 'mizo') {
+                preview = reverseDictionary[match.word].map(r => r.english).join(', ');
+            } else if (dictionary[match.word] !== undefined) {
+                preview = dictionary[match.word];
+            } else {
+                const derived = derivedIndex[match.word];
+                preview = `${derived.parent}: ${derived.text}`;
+            }
+            return { word: match.word, direction: match.direction, preview: preview.slice(0, 200) };
+        });
+    }
+    
+    const handlers = {
+        search: ({ query, direction }) => search(query, direction),
+        suggest: ({ prefix, direction }) => suggest(prefix, direction),
+        reverse: ({ word }) => lookupMizo(normalizeQuery(word), reverseDictionary, foldedReverseIndex),
+        fulltext: ({ query, offset, limit }) => fullText(query, offset, limit),
+        pattern: (options) => findWords(options),
+        quiz: ({ direction, band, count }) => createQuizQuestions(getQuizPool()[direction] || [], band, count || 10),
+        overlay: () => listOverlay(),
+        editEntry: (edit) => editEntry(edit),
+        overlayPatch: () => overlayPatch()
+    };
+    
+    return {
+        load: load,
+        
+        // Requests wait for the dictionary to finish loading
+        async handle(type, payload) {
+            await load();
+            if (!handlers[type]) {
+                throw new Error(`Unknown dictionary request: ${type}`);
+            }
+            return handlers[type](payload || {});
+        }
+    };
+}
@@ -0,0 +1,33 @@
+// ============================================
+// THUMAL DICTIONARY WORKER
+// Loads the dictionary and builds its indexes off the main thread, then
+// answers the page's queries. Protocol:
+//   page → worker  { id, type, payload }       e.g. type 'search', 'suggest', 'reverse'
+//   worker → page  { id, result } or { id, error }
+//   worker → page  { type: 'progress', stage, percent, message }
+//   worker → page  { type: 'ready', dictionary, dataVersion } or { type: 'failed', error }
+// ============================================
+
+importScripts('dictionary-core.js');
+
+const engine = createDictionaryEngine(progress => {
+    self.postMessage({ type: 'progress', ...progress });
+});
+
+engine.load()
+    .then(({ dictionary, dataVersion }) => {
+        self.postMessage({ type: 'ready', dictionary: dictionary, dataVersion: dataVersion });
+    })
+    .catch(error => {
+        self.postMessage({ type: 'failed', error: error.message });
+    });
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        const result = await engine.handle(type, payload);
+        self.postMessage({ id: id, result: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+});
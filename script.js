@@ -1,18 +1,78 @@
 let dictionary = {};
-let reverseDictionary = {};
-let favorites = new Set();
+let favorites = new Map();  // id → favorite record, see createFavorite()
 let recentSearches = [];
 let currentLanguage = 'english';  // For backward compatibility
-let currentMode = 'offline';  // 'offline' or 'online'
+let currentMode = 'offline';  // 'offline', 'online' or 'hybrid'
 let onlineDirection = 'mizo-to-en';  // 'en-to-mizo' or 'mizo-to-en'
 let serverConnected = false;
+let connection = { state: 'checking', failures: 0, retryAt: null, timer: null, ticker: null, check: null, processing: false };
 let deferredPrompt = null;
+let updateRequested = false;
+let dictionaryWorker = null;
+let inPageEngine = null;
+let dictionaryReady = null;
+let pendingRequests = new Map();
+let nextRequestId = 1;
+let autocompleteRequest = 0;
+let activeSuggestion = -1;
+let reverseResultsState = null;
+let fullTextState = null;
+let favoritesFilter = { sort: 'newest', tag: '', source: '' };
+let studySession = null;
+let quizState = null;
+let wotdWords = null;
+let wotdSelectedDate = null;
+let wotdCalendarMonth = null;  // { year, month } shown in the calendar
+let currentTab = 'dictionary';
+let indexWords = null;
+let indexRenderPending = false;
+let finderRequest = 0;
+let batchState = null;
+let overlayEntries = new Map();  // word → personal edit, see PERSONAL DICTIONARY
+let syncSession = null;  // { adapter, user } while signed in to cloud sync
+let syncState = { status: 'off', lastSynced: null, error: '', timer: null, running: false, again: false, applying: false, adapter: undefined };
+let lastSearchRoute = null;
+let applyingRoute = false;
 
 // Configuration
-const API_URL = 'https://toxobilly.pythonanywhere.com/api';
-const TRANSLATION_CACHE = new Map();
+const DEFAULT_API_URL = 'https://toxobilly.pythonanywhere.com/api';
+const TRANSLATION_CACHE = new Map();  // key → record, mirrored in IndexedDB
+const DEFAULT_CACHE_SETTINGS = { ttlDays: 30, maxEntries: 1000 };
 const MAX_RECENT_SEARCHES = 10;
-const MAX_FAVORITES = 100;
+const CONNECTION_POLL_INTERVAL = 30000;  // while the server is up
+const CONNECTION_BASE_DELAY = 2000;  // first retry after a failure, doubling
+const CONNECTION_MAX_DELAY = 5 * 60 * 1000;
+const REQUEST_RETRIES = 2;  // extra attempts for transient translation failures
+// Statuses that mean the server (or its proxy) is struggling. A plain 500 is
+// how translation_server.py refuses a word it can't translate, so it isn't one.
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+const MAX_QUEUED_TRANSLATIONS = 50;
+const SYNC_DEBOUNCE = 2000;  // after a local change
+const SYNC_INTERVAL = 5 * 60 * 1000;  // to pick up other devices' changes
+const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/12.4.0';  // matches package.json
+// The Firebase web app config, set in index.html; cloud sync is hidden without it
+const FIREBASE_CONFIG = window.THUMAL_FIREBASE_CONFIG || null;
+const REVERSE_PAGE_SIZE = 10;
+const FULL_TEXT_PAGE_SIZE = 10;
+const BATCH_SIZE = 20;  // the most /batch-translate accepts per call
+const MAX_BATCH_LINES = 500;
+const INDEX_ROW_HEIGHT = 56;  // px, must match .index-row in style.css
+const INDEX_OVERSCAN = 8;
+const BACKUP_FORMAT = 'thumal-backup';
+const BACKUP_VERSION = 1;
+const MIN_EASE = 1.3;
+const QUIZ_ROUND_LENGTH = 10;
+const QUIZ_TIMED_SECONDS = 60;
+const MAX_HIGH_SCORES = 10;
+const WOTD_HISTORY_LIMIT = 366;
+const WOTD_MIN_WORD_LENGTH = 4;
+const WOTD_MIN_DEFINITION_LENGTH = 20;
+const STUDY_RATINGS = [
+    { label: 'Again', quality: 1 },
+    { label: 'Hard', quality: 3 },
+    { label: 'Good', quality: 4 },
+    { label: 'Easy', quality: 5 }
+];
 
 // ============================================
 // INITIALIZATION
@@ -22,20 +82,33 @@ async function initializeApp() {
     try {
         console.log('🚀 Initializing Mizo Dictionary...');
         
-        // Load offline dictionary
-        await loadOfflineDictionary();
-        
-        // Create reverse dictionary for Mizo→English
-        createReverseDictionary();
-        
-        // Check server connection
-        await checkServerConnection();
-        
         // Setup event listeners
         setupEventListeners();
         
         // Load user data from localStorage
         loadUserData();
+        updateSidebar();
+        updateSearchPlaceholder();
+        
+        // Signed in on an earlier visit: catch up with other devices
+        initializeSync();
+        
+        // Saved online translations, so repeat lookups skip the server
+        loadTranslationCache();
+        
+        // Check server connection in the background
+        checkServerConnection();
+        
+        // Load the dictionary and build its indexes off the main thread;
+        // progress is shown until the engine reports ready
+        dictionaryReady = startDictionaryEngine();
+        await dictionaryReady;
+        
+        // Old "word:definition" favorites need the dictionary to be sorted out
+        migrateLegacyFavorites();
+        
+        // The user's own edits, for the "edited" badges
+        await loadOverlayEntries();
         
         // Initialize word of the day
         initializeWordOfTheDay();
@@ -43,7 +116,12 @@ async function initializeApp() {
         // Update UI
         updateStats();
         updateSidebar();
-        updateSearchPlaceholder();
+        clearResults();
+        
+        // Opened from a shared link such as #/word/evolve
+        if (location.hash.length > 2) {
+            await applyRoute(location.hash);
+        }
         
         console.log(`✓ Dictionary loaded with ${Object.keys(dictionary).length} words`);
         
@@ -53,78 +131,333 @@ async function initializeApp() {
     }
 }
 
-async function loadOfflineDictionary() {
+// ============================================
+// SERVER CONNECTIVITY
+// ============================================
+
+// The server is polled every CONNECTION_POLL_INTERVAL while it answers. After
+// a failure the next check backs off exponentially (with jitter, so many
+// tabs don't retry in step) up to CONNECTION_MAX_DELAY. With no network at
+// all nothing is polled until the browser fires 'online'.
+//
+// connection.state is 'checking', 'connected', 'not-ready' (answers but has
+// no model or API key), 'unreachable' or 'offline' (no network).
+
+// Calls made while a check is in flight share it; resolves to serverConnected
+function checkServerConnection() {
+    if (!connection.check) {
+        connection.check = runConnectionCheck().finally(() => {
+            connection.check = null;
+        });
+    }
+    return connection.check;
+}
+
+async function runConnectionCheck() {
+    clearTimeout(connection.timer);
+    connection.retryAt = null;
+    
+    if (!navigator.onLine) {
+        setConnectionState('offline');
+        return false;
+    }
+    
+    setConnectionState('checking');
+    
+    // Slow links get longer to answer as failures pile up
+    const timeoutMs = Math.min(3000 * (connection.failures + 1), 10000);
+    
     try {
-        console.log('Loading offline dictionary...');
-        const response = await fetch('dictionary.json');
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        
+        const response = await fetch(`${getApiUrl()}/status`, {
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeout);
         
         if (!response.ok) {
-            throw new Error('Failed to load dictionary');
+            throw new Error(`HTTP ${response.status}`);
         }
         
-        dictionary = await response.json();
-        console.log(`✓ Loaded ${Object.keys(dictionary).length} words (offline mode)`);
+        const status = await response.json();
+        if (status.model_loaded || status.api_key_configured) {
+            connection.failures = 0;
+            setConnectionState('connected');
+            scheduleConnectionCheck(CONNECTION_POLL_INTERVAL);
+            console.log('✓ Server connected');
+            processTranslationQueue();
+        } else {
+            connectionFailed('not-ready');
+            console.log('⚠ Server not ready');
+        }
     } catch (error) {
-        console.error('Error loading dictionary:', error);
-        throw error;
+        connectionFailed('unreachable');
+        console.warn(`⚠ Translation server unreachable (${error.message}). Online mode will not work.`);
+    }
+    
+    return serverConnected;
+}
+
+// Back off after a failed check or request: 2s, 4s, 8s… with ±50% jitter
+function connectionFailed(state) {
+    connection.failures++;
+    setConnectionState(navigator.onLine ? state : 'offline');
+    if (connection.state === 'offline') return;
+    
+    const delay = Math.min(CONNECTION_BASE_DELAY * 2 ** (connection.failures - 1), CONNECTION_MAX_DELAY);
+    scheduleConnectionCheck(delay * (0.5 + Math.random()));
+}
+
+function scheduleConnectionCheck(delay) {
+    clearTimeout(connection.timer);
+    connection.retryAt = Date.now() + delay;
+    connection.timer = setTimeout(checkServerConnection, delay);
+    updateServerStatus();
+}
+
+function setConnectionState(state) {
+    connection.state = state;
+    serverConnected = state === 'connected';
+    updateServerStatus();
+    
+    // Tick the "reconnecting in Ns" countdown only while there is one
+    const counting = state === 'unreachable' || state === 'not-ready';
+    if (counting && !connection.ticker) {
+        connection.ticker = setInterval(updateServerStatus, 1000);
+    } else if (!counting && connection.ticker) {
+        clearInterval(connection.ticker);
+        connection.ticker = null;
     }
 }
 
-// Create Mizo to English reverse dictionary
-function createReverseDictionary() {
-    reverseDictionary = {};
-    for (const [englishWord, mizoDefinition] of Object.entries(dictionary)) {
-        const mizoWords = extractMizoWords(mizoDefinition);
-        mizoWords.forEach(mizoWord => {
-            if (!reverseDictionary[mizoWord]) {
-                reverseDictionary[mizoWord] = [];
+function setupConnectivityListeners() {
+    window.addEventListener('online', () => {
+        console.log('✓ Network is back');
+        connection.failures = 0;
+        checkServerConnection();
+    });
+    
+    window.addEventListener('offline', () => {
+        console.warn('⚠ Network lost');
+        clearTimeout(connection.timer);
+        connection.retryAt = null;
+        setConnectionState('offline');
+    });
+}
+
+// fetch() for translation calls: network errors and TRANSIENT_STATUSES are
+// retried with backoff; if every attempt fails the server is marked
+// unreachable so later lookups don't wait on it, and the error thrown has
+// `unreachable` set. Any other response, errors included, is returned.
+async function fetchWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+        try {
+            const response = await fetch(url, options);
+            if (!TRANSIENT_STATUSES.includes(response.status)) {
+                return response;
             }
-            reverseDictionary[mizoWord].push({
-                english: englishWord,
-                fullDefinition: mizoDefinition
-            });
-        });
+            failure = new Error(`Server busy (HTTP ${response.status})`);
+        } catch (error) {
+            failure = error;
+        }
+        
+        if (attempt >= REQUEST_RETRIES || !navigator.onLine) {
+            connectionFailed('unreachable');
+            failure.unreachable = true;
+            throw failure;
+        }
+        
+        const delay = 500 * 2 ** attempt * (0.5 + Math.random());
+        await new Promise(resolve => setTimeout(resolve, delay));
     }
-    console.log(`✓ Reverse dictionary created with ${Object.keys(reverseDictionary).length} Mizo words`);
 }
 
-function extractMizoWords(definition) {
-    const words = definition
-        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, ' ')
-        .split(/\s+/)
-        .filter(word => 
-            word.length > 2 && 
-            !word.match(/^[0-9]/) && 
-            !word.match(/[A-Z]/) &&
-            word.match(/^[a-z\u1000-\u109F]+$/)
-        );
-    return [...new Set(words)];
+// ============================================
+// DEFERRED TRANSLATIONS
+// ============================================
+
+// Online lookups made while the server is down are remembered in
+// localStorage ('pendingTranslations', [{ word, direction, queuedAt }]) and
+// translated as soon as a connection check succeeds.
+
+function loadTranslationQueue() {
+    return JSON.parse(localStorage.getItem('pendingTranslations') || '[]');
+}
+
+function saveTranslationQueue(queue) {
+    localStorage.setItem('pendingTranslations', JSON.stringify(queue));
+    updateServerStatus();
+}
+
+function queueTranslation(word, direction) {
+    const queue = loadTranslationQueue()
+        .filter(item => !(item.direction === direction && item.word.toLowerCase() === word.toLowerCase()));
+    
+    queue.push({ word: word, direction: direction, queuedAt: Date.now() });
+    saveTranslationQueue(queue.slice(-MAX_QUEUED_TRANSLATIONS));
+    console.log(`Queued "${word}" until the server is back`);
 }
 
-async function checkServerConnection() {
+async function processTranslationQueue() {
+    const queue = loadTranslationQueue();
+    if (queue.length === 0 || connection.processing) return;
+    
+    connection.processing = true;
+    const remote = TRANSLATION_PROVIDERS.find(provider => provider.id === 'remote');
+    const resolved = [];
+    const remaining = [];
+    
     try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 3000);
+        for (const item of queue) {
+            if (!serverConnected) {
+                remaining.push(item);
+                continue;
+            }
+            try {
+                const { translation } = await remote.translate(item.word, item.direction);
+                cacheTranslation(item.direction, item.word, translation);
+                resolved.push(item);
+            } catch (error) {
+                // Words the server refused are dropped; lost connections keep theirs
+                if (error.unreachable) remaining.push(item);
+                console.warn(`⚠ Queued translation of "${item.word}" failed:`, error.message);
+            }
+        }
+    } finally {
+        connection.processing = false;
+    }
+    
+    // Lookups queued while this ran are kept too
+    const processed = new Set(queue.map(item => item.queuedAt));
+    saveTranslationQueue([...remaining, ...loadTranslationQueue().filter(item => !processed.has(item.queuedAt))]);
+    
+    if (resolved.length > 0) {
+        console.log(`✓ Resolved ${resolved.length} queued translations`);
+        showQueueBanner(resolved);
+    }
+}
+
+function showQueueBanner(resolved) {
+    const banner = document.getElementById('queueBanner');
+    const text = document.getElementById('queueBannerText');
+    if (!banner || !text) return;
+    
+    const links = resolved.map(item => `
+        <a href="${escapeAttribute(searchRoute(item.word, item.direction))}" onclick="dismissQueueBanner()">${escapeHtml(item.word)}</a>
+    `).join(', ');
+    
+    text.innerHTML = `<i class="fas fa-check-circle"></i> Translated while you waited: ${links}`;
+    banner.style.display = 'flex';
+}
+
+function dismissQueueBanner() {
+    const banner = document.getElementById('queueBanner');
+    if (banner) {
+        banner.style.display = 'none';
+    }
+}
+
+// ============================================
+// DICTIONARY ENGINE CLIENT
+// ============================================
+
+// Start the dictionary engine (see dictionary-core.js) in a Web Worker, or on
+// the page if workers are unavailable. Resolves once the dictionary is loaded
+// and indexed, with the headwords copied into `dictionary` for the UI.
+function startDictionaryEngine() {
+    return new Promise((resolve, reject) => {
+        const onReady = (data) => {
+            dictionary = data.dictionary;
+            console.log(`✓ Dictionary engine ready (${dictionaryWorker ? 'worker' : 'main thread'})`);
+            resolve();
+        };
         
-        const response = await fetch(`${API_URL}/status`, {
-            signal: controller.signal
-        });
+        const startInPage = () => {
+            dictionaryWorker = null;
+            inPageEngine = createDictionaryEngine(updateLoadingProgress);
+            inPageEngine.load().then(onReady, reject);
+        };
         
-        clearTimeout(timeout);
+        if (typeof Worker === 'undefined') {
+            startInPage();
+            return;
+        }
         
-        if (response.ok) {
-            const status = await response.json();
-            serverConnected = status.model_loaded || status.api_key_configured;
-            updateServerStatus(serverConnected);
-            console.log(serverConnected ? '✓ Server connected' : '⚠ Server not ready');
-        } else {
-            serverConnected = false;
-            updateServerStatus(false);
+        try {
+            dictionaryWorker = new Worker('dictionary-worker.js');
+        } catch (error) {
+            console.warn('⚠ Could not start dictionary worker:', error);
+            startInPage();
+            return;
         }
-    } catch (error) {
-        serverConnected = false;
-        updateServerStatus(false);
-        console.warn('⚠ Translation server offline. Online mode will not work.');
+        
+        dictionaryWorker.onmessage = (event) => {
+            const message = event.data;
+            
+            if (message.type === 'progress') {
+                updateLoadingProgress(message);
+            } else if (message.type === 'ready') {
+                onReady(message);
+            } else if (message.type === 'failed') {
+                reject(new Error(message.error));
+            } else if (pendingRequests.has(message.id)) {
+                const request = pendingRequests.get(message.id);
+                pendingRequests.delete(message.id);
+                if (message.error) {
+                    request.reject(new Error(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+            }
+        };
+        
+        // The worker script itself failed (e.g. blocked on file://). Requests
+        // it was answering never will be, so fail them rather than hang.
+        dictionaryWorker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('⚠ Dictionary worker failed, using main thread:', event.message);
+            dictionaryWorker.terminate();
+            pendingRequests.forEach(request => request.reject(new Error('The dictionary worker stopped')));
+            pendingRequests.clear();
+            startInPage();
+        };
+    });
+}
+
+// Ask the engine a question, e.g. queryDictionary('search', { query: 'evolve' })
+async function queryDictionary(type, payload) {
+    await dictionaryReady;
+    
+    if (inPageEngine) {
+        return inPageEngine.handle(type, payload);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingRequests.set(id, { resolve, reject });
+        dictionaryWorker.postMessage({ id: id, type: type, payload: payload });
+    });
+}
+
+function updateLoadingProgress(progress) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const wordCount = document.getElementById('wordCount');
+    
+    if (wordCount && progress.stage !== 'ready') {
+        wordCount.textContent = `Loading dictionary… ${progress.percent}%`;
+    }
+    
+    if (resultsContainer && progress.stage !== 'ready') {
+        resultsContainer.innerHTML = `
+            <div class="empty-state">
+                <div class="spinner"></div>
+                <p>${escapeHtml(progress.message)}</p>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${progress.percent}%;"></div></div>
+            </div>
+        `;
     }
 }
 
@@ -147,6 +480,9 @@ function setupEventListeners() {
     
     // Install PWA prompt
     setupPWA();
+    
+    // Back/forward and shared links
+    window.addEventListener('hashchange', handleRouteChange);
 }
 
 function setupModeToggle() {
@@ -160,6 +496,11 @@ function setupModeToggle() {
     if (onlineTab) {
         onlineTab.addEventListener('click', () => switchMode('online'));
     }
+    
+    const hybridTab = document.getElementById('hybrid-tab');
+    if (hybridTab) {
+        hybridTab.addEventListener('click', () => switchMode('hybrid'));
+    }
 }
 
 function setupDirectionToggle() {
@@ -193,6 +534,19 @@ function setupSearch() {
                 performSearch(searchInput.value);
             }
         });
+        
+        // Autocomplete
+        searchInput.addEventListener('input', () => updateAutocomplete(searchInput.value));
+        searchInput.addEventListener('keydown', handleAutocompleteKeys);
+        searchInput.addEventListener('blur', hideAutocomplete);
+    }
+    
+    const fullTextToggle = document.getElementById('fullTextToggle');
+    if (fullTextToggle) {
+        fullTextToggle.addEventListener('change', () => {
+            hideAutocomplete();
+            updateSearchPlaceholder();
+        });
     }
 }
 
@@ -207,6 +561,8 @@ function setupTabs() {
 }
 
 function switchTab(tabName) {
+    currentTab = tabName;
+    
     // Remove active class from all tabs and content areas
     document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
     document.querySelectorAll('.content-area').forEach(c => c.classList.remove('active'));
@@ -220,6 +576,12 @@ function switchTab(tabName) {
     const contentMap = {
         'dictionary': 'dictionaryView',
         'favorites': 'favoritesView',
+        'study': 'studyView',
+        'quiz': 'quizView',
+        'index': 'indexView',
+        'finder': 'finderView',
+        'settings': 'settingsView',
+        'batch': 'batchView',
         'wotd': 'wotdView'
     };
     
@@ -233,15 +595,26 @@ function switchTab(tabName) {
     
     if (tabName === 'favorites') {
         displayFavorites();
+    } else if (tabName === 'study') {
+        startStudySession();
+    } else if (tabName === 'quiz') {
+        if (!quizState) showQuizSetup();
+    } else if (tabName === 'index') {
+        displayIndex();
+    } else if (tabName === 'finder') {
+        updateWordFinder();
+    } else if (tabName === 'settings') {
+        displaySettings();
     } else if (tabName === 'wotd') {
-        const wotd = localStorage.getItem('currentWotd');
-        if (wotd) {
-            displayWotdView(wotd, dictionary[wotd]);
-        }
+        displayWotdView(wotdSelectedDate || localDateKey());
     }
+    
+    syncRoute();
 }
 
 function setupPWA() {
+    registerServiceWorker();
+    
     window.addEventListener('beforeinstallprompt', (e) => {
         e.preventDefault();
         deferredPrompt = e;
@@ -265,6 +638,187 @@ function installApp() {
     }
 }
 
+// ============================================
+// ROUTING
+// ============================================
+
+// Every view has a hash route, so links can be shared and Back/Forward work:
+//   #/word/evolve                 offline English search
+//   #/mizo/sual                   offline Mizo → English search
+//   #/text/"thil nung"            offline full-text search
+//   #/online/en-to-mizo/hello     online translation
+//   #/hybrid/en-to-mizo/hello     dictionary entry beside the translation
+//   #/favorites  #/study  #/quiz  #/index  #/finder  #/batch  #/settings
+//   #/wotd  #/wotd/2026-10-19
+
+const TAB_ROUTES = ['favorites', 'study', 'quiz', 'index', 'finder', 'batch', 'settings', 'wotd'];
+
+// direction is 'mizo' for a Mizo search, 'text' for full text, or an
+// online direction, shown in `mode` 'online' (the default) or 'hybrid'
+function searchRoute(query, direction, mode) {
+    const word = encodeURIComponent(query);
+    if (direction === 'en-to-mizo' || direction === 'mizo-to-en') {
+        return `#/${mode === 'hybrid' ? 'hybrid' : 'online'}/${direction}/${word}`;
+    }
+    if (direction === 'text') {
+        return `#/text/${word}`;
+    }
+    return direction === 'mizo' ? `#/mizo/${word}` : `#/word/${word}`;
+}
+
+// The route describing what is on screen right now
+function getCurrentRoute() {
+    if (currentTab === 'wotd' && wotdSelectedDate && wotdSelectedDate !== localDateKey()) {
+        return `#/wotd/${wotdSelectedDate}`;
+    }
+    if (TAB_ROUTES.includes(currentTab)) {
+        return `#/${currentTab}`;
+    }
+    return lastSearchRoute || '#/';
+}
+
+// Record a new view as a history entry. Views opened by applyRoute() are
+// already in the URL, so nothing is recorded while one is being applied.
+function syncRoute() {
+    if (applyingRoute) return;
+    
+    const route = getCurrentRoute();
+    if (route !== (location.hash || '#/')) {
+        location.hash = route;
+    }
+}
+
+function handleRouteChange() {
+    if (location.hash !== getCurrentRoute()) {
+        applyRoute(location.hash);
+    }
+}
+
+async function applyRoute(hash) {
+    const [name, ...rest] = hash.replace(/^#\/?/, '').split('/').map(part => {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            return part;
+        }
+    });
+    
+    applyingRoute = true;
+    try {
+        if (name === 'word' || name === 'mizo' || name === 'text') {
+            const query = rest.join('/');
+            if (currentMode !== 'offline') switchMode('offline');
+            setFullTextEnabled(name === 'text');
+            setSearchInput(query);
+            await performSearch(query, name === 'mizo' ? { direction: 'mizo' } : {});
+        } else if ((name === 'online' || name === 'hybrid') && (rest[0] === 'en-to-mizo' || rest[0] === 'mizo-to-en')) {
+            const query = rest.slice(1).join('/');
+            if (currentMode !== name) switchMode(name);
+            if (onlineDirection !== rest[0]) switchOnlineDirection(rest[0]);
+            if (!serverConnected) await checkServerConnection();
+            setSearchInput(query);
+            await performSearch(query);
+        } else if (name === 'wotd') {
+            // Impossible dates such as 2026-99-99 fall back to today
+            wotdSelectedDate = isValidDateKey(rest[0] || '') ? rest[0] : null;
+            wotdCalendarMonth = null;
+            switchTab('wotd');
+        } else if (TAB_ROUTES.includes(name)) {
+            switchTab(name);
+        } else {
+            lastSearchRoute = null;
+            setSearchInput('');
+            switchTab('dictionary');
+            clearResults();
+        }
+    } finally {
+        applyingRoute = false;
+    }
+}
+
+function setSearchInput(value) {
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.value = value;
+    }
+}
+
+function renderCopyLinkButton(route) {
+    return `
+        <button class="action-btn copy-link-btn" title="Copy link" aria-label="Copy link"
+                onclick="copyLink('${escapeHtml(escapeJsString(route))}', this)">
+            <i class="fas fa-link"></i>
+        </button>
+    `;
+}
+
+async function copyLink(route, button) {
+    const url = `${location.origin}${location.pathname}${route}`;
+    
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (error) {
+        // Clipboard API needs a secure context; let the user copy it by hand
+        window.prompt('Copy this link:', url);
+        return;
+    }
+    
+    if (button) {
+        const icon = button.querySelector('i');
+        icon.className = 'fas fa-check';
+        setTimeout(() => { icon.className = 'fas fa-link'; }, 1500);
+    }
+}
+
+// ============================================
+// SERVICE WORKER
+// ============================================
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            console.log('✓ Service worker registered');
+            
+            // A new version finished installing while this page was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const newWorker = registration.installing;
+                newWorker.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(newWorker);
+                    }
+                });
+            });
+        })
+        .catch(error => console.warn('⚠ Service worker registration failed:', error));
+    
+    // Reload only when the user asked for the update, not on the first install
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading || !updateRequested) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+function showUpdateBanner(waitingWorker) {
+    const banner = document.getElementById('updateBanner');
+    const reloadBtn = document.getElementById('updateReloadBtn');
+    if (!banner || !reloadBtn) return;
+    
+    banner.style.display = 'flex';
+    reloadBtn.onclick = () => {
+        updateRequested = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    };
+}
+
 // ============================================
 // MODE SWITCHING
 // ============================================
@@ -285,13 +839,21 @@ function switchMode(mode) {
     // Show/hide direction toggle
     const directionToggle = document.getElementById('online-direction-toggle');
     if (directionToggle) {
-        directionToggle.style.display = mode === 'online' ? 'flex' : 'none';
+        directionToggle.style.display = mode === 'offline' ? 'none' : 'flex';
+    }
+    
+    // Full-text search only covers the offline dictionary
+    const fullTextOption = document.getElementById('fullTextOption');
+    if (fullTextOption) {
+        fullTextOption.style.display = mode === 'offline' ? 'flex' : 'none';
     }
     
     // Update UI
     updateSearchPlaceholder();
-    updateServerStatus(serverConnected);
+    updateServerStatus();
     clearResults();
+    lastSearchRoute = null;
+    syncRoute();
     
     console.log(`Switched to ${mode} mode`);
 }
@@ -312,6 +874,8 @@ function switchOnlineDirection(direction) {
     // Update placeholder and clear results
     updateSearchPlaceholder();
     clearResults();
+    lastSearchRoute = null;
+    syncRoute();
     
     console.log(`Online direction: ${direction}`);
 }
@@ -321,7 +885,9 @@ function updateSearchPlaceholder() {
     if (!searchInput) return;
     
     if (currentMode === 'offline') {
-        searchInput.placeholder = 'Enter a word to look up...';
+        searchInput.placeholder = isFullTextEnabled()
+            ? 'Words or "phrases" inside definitions, e.g. thlarau OR "thil nung"'
+            : 'Enter a word to look up...';
     } else {
         if (onlineDirection === 'en-to-mizo') {
             searchInput.placeholder = 'Enter English word...';
@@ -331,30 +897,37 @@ function updateSearchPlaceholder() {
     }
 }
 
-function updateServerStatus(connected) {
+function updateServerStatus() {
     const statusDiv = document.getElementById('server-status');
     if (!statusDiv) return;
     
-    if (currentMode === 'online') {
-        statusDiv.style.display = 'block';
-        
-        if (connected) {
-            statusDiv.style.background = '#e8f5e9';
-            statusDiv.style.color = '#2e7d32';
-            const statusText = statusDiv.querySelector('#status-text');
-            if (statusText) {
-                statusText.textContent = 'Server Connected';
-            }
-        } else {
-            statusDiv.style.background = '#ffebee';
-            statusDiv.style.color = '#c62828';
-            const statusText = statusDiv.querySelector('#status-text');
-            if (statusText) {
-                statusText.textContent = 'Server Offline';
-            }
-        }
-    } else {
+    if (currentMode === 'offline') {
         statusDiv.style.display = 'none';
+        return;
+    }
+    statusDiv.style.display = 'block';
+    
+    const seconds = connection.retryAt ? Math.max(0, Math.ceil((connection.retryAt - Date.now()) / 1000)) : 0;
+    const labels = {
+        'connected': 'Server Connected',
+        'checking': 'Checking server…',
+        'not-ready': `Server not ready • retrying in ${seconds}s`,
+        'unreachable': `Server Offline • reconnecting in ${seconds}s`,
+        'offline': 'No network • waiting for connection'
+    };
+    const colors = {
+        'connected': ['#e8f5e9', '#2e7d32'],
+        'checking': ['#fff8e1', '#8a5a00'],
+        'not-ready': ['#fff8e1', '#8a5a00']
+    };
+    const [background, color] = colors[connection.state] || ['#ffebee', '#c62828'];
+    
+    const queued = loadTranslationQueue().length;
+    statusDiv.style.background = background;
+    statusDiv.style.color = color;
+    const statusText = statusDiv.querySelector('#status-text');
+    if (statusText) {
+        statusText.textContent = labels[connection.state] + (queued ? ` • ${queued} queued` : '');
     }
 }
 
@@ -362,19 +935,31 @@ function updateServerStatus(connected) {
 // SEARCH FUNCTIONALITY
 // ============================================
 
-async function performSearch(query) {
+// options.direction ('english' or 'mizo') forces an offline lookup in one
+// direction, e.g. when a Mizo autocomplete suggestion is picked
+async function performSearch(query, options = {}) {
     if (!query || query.trim() === '') {
         return;
     }
     
     const searchTerm = query.trim();
+    const fullText = currentMode === 'offline' && (options.fullText ?? isFullTextEnabled());
+    hideAutocomplete();
     
-    // Switch to dictionary tab
+    // Switch to dictionary tab, recording the search in the URL
+    const routeDirection = currentMode === 'offline' ? (fullText ? 'text' : options.direction) : onlineDirection;
+    lastSearchRoute = searchRoute(searchTerm, routeDirection, currentMode);
     switchTab('dictionary');
     
-    if (currentMode === 'offline') {
+    if (fullText) {
+        // Offline: search inside every definition
+        await searchFullText(searchTerm);
+    } else if (currentMode === 'offline') {
         // Offline: Use dictionary.json (English or Mizo)
-        searchOffline(searchTerm);
+        await searchOffline(searchTerm, options.direction);
+    } else if (currentMode === 'hybrid') {
+        // Hybrid: dictionary entry and machine translation side by side
+        await searchHybrid(searchTerm, onlineDirection);
     } else {
         // Online: Use Google Translate API
         if (onlineDirection === 'mizo-to-en') {
@@ -388,69 +973,86 @@ async function performSearch(query) {
     addToRecentSearches(searchTerm);
 }
 
-function searchOffline(query) {
-    const word = query.toLowerCase();
+async function searchFullText(query) {
+    showLoadingState('Searching definitions...');
     
-    // Try English → Mizo first
-    if (dictionary[word]) {
-        displayWordResult(word, dictionary[word], 'English → Mizo');
-        return;
+    try {
+        const page = await queryDictionary('fulltext', { query: query, offset: 0, limit: FULL_TEXT_PAGE_SIZE });
+        if (page.total === 0) {
+            displayNoResult(query);
+            return;
+        }
+        displayFullTextResults(query, page);
+    } catch (error) {
+        console.error('Full-text search error:', error);
+        showError(`Could not search definitions for "${query}". ${error.message}`);
     }
-    
-    // Try Mizo → English reverse lookup
-    if (reverseDictionary[word]) {
-        displayReverseResults(word, reverseDictionary[word]);
-        return;
+}
+
+function isFullTextEnabled() {
+    const toggle = document.getElementById('fullTextToggle');
+    return Boolean(toggle && toggle.checked);
+}
+
+function setFullTextEnabled(enabled) {
+    const toggle = document.getElementById('fullTextToggle');
+    if (toggle && toggle.checked !== enabled) {
+        toggle.checked = enabled;
+        updateSearchPlaceholder();
     }
-    
-    // Not found
-    displayNoResult(query);
 }
 
-async function searchOnline(word, direction) {
-    if (!serverConnected) {
-        showError('Translation server is offline. Please run: python translation_server.py');
-        return;
+async function searchOffline(query, direction) {
+    try {
+        const result = await queryDictionary('search', { query: query, direction: direction });
+        
+        if (result.type === 'word') {
+            displayWordResult(result.word, result.definition, result.label, result.matchedForm, result.searchedForm);
+        } else if (result.type === 'reverse') {
+            displayReverseResults(result.word, result.results);
+        } else {
+            displayNoResult(query, result.suggestions);
+        }
+    } catch (error) {
+        console.error('Search error:', error);
+        showError(`Could not look up "${query}". ${error.message}`);
     }
-    
+}
+
+async function searchOnline(word, direction) {
     showLoadingState('Translating...');
     
     try {
-        // Check cache
-        const cacheKey = `${direction}:${word.toLowerCase()}`;
-        if (TRANSLATION_CACHE.has(cacheKey)) {
+        // Check cache; expired entries are only used if the server fails
+        const cached = getCachedTranslation(direction, word);
+        if (cached && !cached.stale) {
             console.log('Using cached translation');
-            const translation = TRANSLATION_CACHE.get(cacheKey);
-            displayOnlineResult(word, translation, direction, true);
+            displayOnlineResult(word, cached.translation, direction, true);
             return;
         }
         
-        // Call API
-        const endpoint = direction === 'mizo-to-en' 
-            ? `${API_URL}/translate-mizo`
-            : `${API_URL}/translate-english`;
-        
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ word: word })
-        });
+        const answer = await translateWithProviders(word, direction);
         
-        if (!response.ok) {
-            throw new Error('Translation request failed');
+        if (answer.translation) {
+            // Only the server's answers are worth keeping; the offline
+            // dictionary is always at hand anyway
+            if (answer.provider.id === 'remote') {
+                cacheTranslation(direction, word, answer.translation);
+            }
+            displayOnlineResult(word, answer.translation, direction, false, answer.provider);
+        } else {
+            displayNoResult(word, answer.suggestions || []);
         }
         
-        const data = await response.json();
-        
-        if (data.success) {
-            const translation = direction === 'mizo-to-en' ? data.english : data.mizo;
-            
-            // Cache the result
-            TRANSLATION_CACHE.set(cacheKey, translation);
-            
-            displayOnlineResult(word, translation, direction, false);
-        } else {
-            throw new Error(data.error || 'Translation failed');
+        // The server never got to answer: try again once it is back
+        if (answer.provider?.id !== 'remote' && !serverConnected) {
+            queueTranslation(word, direction);
+            document.getElementById('dictionaryResults').insertAdjacentHTML('beforeend', `
+                <p class="result-note">
+                    <i class="fas fa-clock"></i> The translation server is unavailable.
+                    "${escapeHtml(word)}" will be translated as soon as it is back.
+                </p>
+            `);
         }
         
     } catch (error) {
@@ -460,319 +1062,3254 @@ async function searchOnline(word, direction) {
 }
 
 // ============================================
-// DISPLAY FUNCTIONS (Using your original style)
+// TRANSLATION PROVIDERS
 // ============================================
 
-function displayWordResult(word, definition, direction) {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    const resultsTitle = document.getElementById('resultsTitle');
-    const resultsSubtitle = document.getElementById('resultsSubtitle');
-    
-    if (resultsTitle) {
-        resultsTitle.textContent = `Result for "${word}"`;
-    }
-    
-    if (resultsSubtitle) {
-        resultsSubtitle.textContent = direction || 'English → Mizo';
-    }
-    
-    const favoriteKey = `${word}:${definition}`;
-    const isFavorite = favorites.has(favoriteKey);
+// Online mode asks each provider in turn until one answers:
+//   remote      the translation server (getApiUrl())
+//   saved       an expired cached translation, better than none
+//   offline     dictionary.json, through the dictionary engine
+//   suggestions closest headwords, when nothing translated the word
+// translate() resolves to { translation } or { suggestions }, or null to pass.
+const TRANSLATION_PROVIDERS = [
+    {
+        id: 'remote',
+        label: 'Translation server',
+        isAvailable: () => serverConnected,
+        async translate(word, direction) {
+            const endpoint = direction === 'mizo-to-en'
+                ? `${getApiUrl()}/translate-mizo`
+                : `${getApiUrl()}/translate-english`;
+            
+            const response = await fetchWithRetry(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ word: word })
+            });
+            
+            if (!response.ok) {
+                throw new Error('Translation request failed');
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Translation failed');
+            }
+            return { translation: direction === 'mizo-to-en' ? data.english : data.mizo };
+        },
+        
+        // Up to BATCH_SIZE words in one call; resolves to Map input → translation.
+        // The server leaves out words it could not translate.
+        async translateBatch(words, direction) {
+            const response = await fetchWithRetry(`${getApiUrl()}/batch-translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ words: words, direction: direction })
+            });
+            
+            if (!response.ok) {
+                throw new Error('Batch request failed');
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Batch translation failed');
+            }
+            return new Map(data.translations.map(item => [item.input, item.output]));
+        }
+    },
+    {
+        id: 'saved',
+        label: 'Saved translation',
+        isAvailable: () => true,
+        async translate(word, direction) {
+            const cached = getCachedTranslation(direction, word);
+            return cached ? { translation: cached.translation } : null;
+        }
+    },
+    {
+        id: 'offline',
+        label: 'Offline dictionary',
+        isAvailable: () => true,
+        async translate(word, direction) {
+            if (direction === 'mizo-to-en') {
+                const results = await queryDictionary('reverse', { word: word });
+                if (results.length === 0) return null;
+                return { translation: results.slice(0, 5).map(result => result.english).join(', ') };
+            }
+            
+            const result = await queryDictionary('search', { query: word, direction: 'english' });
+            return result.type === 'word' ? { translation: result.definition } : null;
+        }
+    },
+    {
+        id: 'suggestions',
+        label: 'Spelling suggestions',
+        isAvailable: () => true,
+        async translate(word) {
+            const result = await queryDictionary('search', { query: word });
+            return result.type === 'none' && result.suggestions.length > 0
+                ? { suggestions: result.suggestions }
+                : null;
+        }
+    }
+];
+
+async function translateWithProviders(word, direction) {
+    for (const provider of TRANSLATION_PROVIDERS) {
+        if (!provider.isAvailable()) continue;
+        
+        try {
+            const answer = await provider.translate(word, direction);
+            if (answer) {
+                return { ...answer, provider: provider };
+            }
+        } catch (error) {
+            console.warn(`⚠ ${provider.label} failed, trying the next provider:`, error.message);
+        }
+    }
+    return { provider: null };
+}
+
+// The translation server: ?server=… on the page URL, else the one saved in
+// Settings, else the public default
+function getApiUrl() {
+    const fromQuery = new URLSearchParams(location.search).get('server');
+    const url = normalizeServerUrl(fromQuery) || normalizeServerUrl(localStorage.getItem('serverUrl'));
+    return url || DEFAULT_API_URL;
+}
+
+// Only http(s) URLs, without a trailing slash; null for anything else
+function normalizeServerUrl(value) {
+    if (!value) return null;
+    try {
+        const url = new URL(value.trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        return url.href.replace(/\/+$/, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================
+// TRANSLATION CACHE
+// ============================================
+
+// Kept in TRANSLATION_CACHE for instant lookups and in IndexedDB (see
+// dictionary-core.js) across reloads. Records look like
+// { key, direction, word, translation, savedAt, lastUsed } with times in ms.
+
+function loadCacheSettings() {
+    return { ...DEFAULT_CACHE_SETTINGS, ...JSON.parse(localStorage.getItem('translationCacheSettings') || '{}') };
+}
+
+function translationCacheKey(direction, word) {
+    return `${direction}:${word.toLowerCase()}`;
+}
+
+async function loadTranslationCache() {
+    try {
+        const records = await readAllTranslations();
+        records.forEach(record => TRANSLATION_CACHE.set(record.key, record));
+        console.log(`✓ Loaded ${records.length} saved translations`);
+        enforceCacheLimit();
+    } catch (error) {
+        console.warn('⚠ Saved translations unavailable:', error);
+    }
+}
+
+function isTranslationStale(record) {
+    return Date.now() - record.savedAt > loadCacheSettings().ttlDays * 24 * 60 * 60 * 1000;
+}
+
+// { translation, stale } or null; a hit counts as a use for the LRU order
+function getCachedTranslation(direction, word) {
+    const record = TRANSLATION_CACHE.get(translationCacheKey(direction, word));
+    if (!record) return null;
+    
+    record.lastUsed = Date.now();
+    updateTranslationStore([record]).catch(error => console.warn('⚠ Could not update saved translation:', error));
+    return { translation: record.translation, stale: isTranslationStale(record) };
+}
+
+function cacheTranslation(direction, word, translation) {
+    const now = Date.now();
+    const record = {
+        key: translationCacheKey(direction, word),
+        direction: direction,
+        word: word,
+        translation: translation,
+        savedAt: now,
+        lastUsed: now
+    };
+    
+    TRANSLATION_CACHE.set(record.key, record);
+    updateTranslationStore([record]).catch(error => console.warn('⚠ Could not save translation:', error));
+    enforceCacheLimit();
+}
+
+// Drop the least recently used entries beyond the configured count
+function enforceCacheLimit() {
+    const { maxEntries } = loadCacheSettings();
+    if (TRANSLATION_CACHE.size <= maxEntries) return;
+    
+    const evicted = [...TRANSLATION_CACHE.values()]
+        .sort((a, b) => a.lastUsed - b.lastUsed)
+        .slice(0, TRANSLATION_CACHE.size - maxEntries)
+        .map(record => record.key);
+    
+    evicted.forEach(key => TRANSLATION_CACHE.delete(key));
+    updateTranslationStore([], evicted).catch(error => console.warn('⚠ Could not evict saved translations:', error));
+}
+
+function saveCacheSettings() {
+    const ttlDays = Math.max(1, Math.round(Number(document.getElementById('cacheTtlInput').value)) || DEFAULT_CACHE_SETTINGS.ttlDays);
+    const maxEntries = Math.max(10, Math.round(Number(document.getElementById('cacheMaxInput').value)) || DEFAULT_CACHE_SETTINGS.maxEntries);
+    
+    localStorage.setItem('translationCacheSettings', JSON.stringify({ ttlDays: ttlDays, maxEntries: maxEntries }));
+    enforceCacheLimit();
+    displaySettings();
+}
+
+// includeServer also empties the server's own cache (POST /clear-cache)
+async function clearTranslationCache(includeServer) {
+    let message = 'Saved translations cleared.';
+    
+    TRANSLATION_CACHE.clear();
+    try {
+        await clearTranslationStore();
+    } catch (error) {
+        console.warn('⚠ Could not clear saved translations:', error);
+    }
+    
+    if (includeServer) {
+        try {
+            const response = await fetch(`${getApiUrl()}/clear-cache`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'request failed');
+            }
+            message = 'Saved translations cleared here and on the server.';
+        } catch (error) {
+            message = `Saved translations cleared here, but not on the server (${error.message}).`;
+        }
+    }
+    
+    displaySettings();
+    const status = document.getElementById('cacheStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// ============================================
+// AUTOCOMPLETE
+// ============================================
+
+async function updateAutocomplete(value) {
+    const list = document.getElementById('autocompleteList');
+    if (!list) return;
+    
+    let direction = null;
+    if (currentMode !== 'offline') {
+        direction = onlineDirection === 'en-to-mizo' ? 'english' : 'mizo';
+    }
+    
+    // Full-text queries are not headwords, so there is nothing to complete
+    if (currentMode === 'offline' && isFullTextEnabled()) {
+        hideAutocomplete();
+        return;
+    }
+    
+    // Answers can arrive out of order; only the latest keystroke counts
+    const requestId = ++autocompleteRequest;
+    let matches;
+    try {
+        matches = await queryDictionary('suggest', { prefix: value, direction: direction });
+    } catch (error) {
+        console.warn('⚠ Autocomplete unavailable:', error.message);
+        matches = [];
+    }
+    if (requestId !== autocompleteRequest) return;
+    activeSuggestion = -1;
+    
+    if (matches.length === 0) {
+        hideAutocomplete();
+        return;
+    }
+    
+    let html = '';
+    matches.forEach((match, i) => {
+        const isMizo = match.direction === 'mizo';
+        
+        html += `
+            <div class="autocomplete-item" role="option" data-index="${i}"
+                 data-word="${escapeHtml(match.word)}" data-direction="${match.direction}">
+                <div class="autocomplete-word">
+                    ${escapeHtml(match.word)}
+                    <span class="autocomplete-direction">${isMizo ? 'MZ → EN' : 'EN → MZ'}</span>
+                </div>
+                <div class="autocomplete-preview">${escapeHtml(truncateDefinition(match.preview, 60))}</div>
+            </div>
+        `;
+    });
+    
+    list.innerHTML = html;
+    list.style.display = 'block';
+    
+    // mousedown fires before the input's blur hides the list
+    list.querySelectorAll('.autocomplete-item').forEach(item => {
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSuggestion(item);
+        });
+    });
+}
+
+function handleAutocompleteKeys(e) {
+    const list = document.getElementById('autocompleteList');
+    if (!list || list.style.display !== 'block') return;
+    
+    const items = list.querySelectorAll('.autocomplete-item');
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        activeSuggestion = (activeSuggestion + step + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === activeSuggestion));
+        items[activeSuggestion].scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+        // Stops the keypress handler from searching the half-typed text
+        e.preventDefault();
+        selectSuggestion(items[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+        hideAutocomplete();
+    }
+}
+
+function selectSuggestion(item) {
+    const searchInput = document.getElementById('searchInput');
+    const word = item.dataset.word;
+    
+    if (searchInput) {
+        searchInput.value = word;
+    }
+    performSearch(word, { direction: item.dataset.direction });
+}
+
+function hideAutocomplete() {
+    // Drop any suggestions still on their way back from the engine
+    autocompleteRequest++;
+    const list = document.getElementById('autocompleteList');
+    if (list) {
+        list.style.display = 'none';
+        list.innerHTML = '';
+    }
+    activeSuggestion = -1;
+}
+
+// ============================================
+// DISPLAY FUNCTIONS (Using your original style)
+// ============================================
+
+// matchedForm is the derived headword that led here, if any, so it can be
+// highlighted within the parent entry. searchedForm is the inflected word the
+// user actually typed when the entry was found through findLemma().
+function displayWordResult(word, definition, direction, matchedForm, searchedForm) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = `Result for "${word}"`;
+    }
+    
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = direction || 'English → Mizo';
+    }
     
     resultsContainer.innerHTML = `
         <div class="word-card">
             <div class="word-header">
                 <h3 class="word">${escapeHtml(word)}</h3>
-                <button class="favorite-star ${isFavorite ? 'active' : ''}" 
-                        onclick="toggleFavorite('${escapeHtml(word)}', '${escapeHtml(definition)}')">
-                    <i class="fas fa-star"></i>
-                </button>
+                <div class="word-actions">
+                    ${renderCopyLinkButton(searchRoute(word))}
+                    <button class="action-btn" title="Edit this entry" aria-label="Edit this entry"
+                            onclick="editEntry('${escapeHtml(escapeJsString(word))}')">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    ${renderFavoriteStar(word, definition, 'offline', 'en-to-mizo')}
+                </div>
             </div>
-            <div class="definition">${escapeHtml(definition)}</div>
+            ${searchedForm ? `
+                <div class="result-note">
+                    No entry for "${escapeHtml(searchedForm)}" — showing results for <em>${escapeHtml(matchedForm || word)}</em>
+                </div>
+            ` : ''}
+            ${renderEntryBody(parseEntry(word, definition), matchedForm)}
+            ${renderOverlayDetails(word)}
             <div style="margin-top: 10px;">
                 <span class="offline-badge">⚡ Offline</span>
+                ${renderOverlayBadge(word)}
             </div>
         </div>
     `;
 }
 
+function renderEntryBody(entry, matchedForm) {
+    let html = '';
+    
+    if (entry.pronunciation) {
+        html += `<div class="phonetic">/${escapeHtml(entry.pronunciation)}/</div>`;
+    }
+    
+    if (entry.senses.length > 0) {
+        html += '<ol class="sense-list">';
+        entry.senses.forEach(sense => {
+            html += `
+                <li class="definition">
+                    ${renderPosTags(sense.pos)}
+                    ${escapeHtml(sense.text)}
+                </li>
+            `;
+        });
+        html += '</ol>';
+    }
+    
+    if (entry.derived.length > 0) {
+        html += '<div class="derived-forms"><h4>Derived forms</h4>';
+        entry.derived.forEach(form => {
+            html += `
+                <div class="derived-form ${form.word === matchedForm ? 'highlight' : ''}">
+                    <a class="derived-word" onclick="performSearch('${escapeHtml(escapeJsString(form.word))}')">${escapeHtml(form.word)}</a>
+                    ${form.pronunciation ? `<span class="phonetic">/${escapeHtml(form.pronunciation)}/</span>` : ''}
+                    ${renderPosTags(form.pos)}
+                    ${escapeHtml(form.text)}
+                </div>
+            `;
+        });
+        html += '</div>';
+    }
+    
+    return html;
+}
+
+function renderPosTags(tags) {
+    return tags.map(tag => `<span class="part-of-speech">${escapeHtml(tag)}</span>`).join(' ');
+}
+
 function displayReverseResults(mizoWord, results) {
     const resultsContainer = document.getElementById('dictionaryResults');
     const resultsTitle = document.getElementById('resultsTitle');
-    const resultsSubtitle = document.getElementById('resultsSubtitle');
     
     if (resultsTitle) {
         resultsTitle.textContent = `Results for "${mizoWord}"`;
     }
     
+    reverseResultsState = { results: results, shown: 0 };
+    resultsContainer.innerHTML = '<div id="reverseResultsList"></div>';
+    loadMoreReverseResults();
+}
+
+function loadMoreReverseResults() {
+    if (!reverseResultsState) return;
+    
+    const { results, shown } = reverseResultsState;
+    const list = document.getElementById('reverseResultsList');
+    const page = results.slice(shown, shown + REVERSE_PAGE_SIZE);
+    
+    list.insertAdjacentHTML('beforeend', page.map(renderReverseCard).join(''));
+    reverseResultsState.shown = shown + page.length;
+    
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
     if (resultsSubtitle) {
-        resultsSubtitle.textContent = `Found ${results.length} match${results.length > 1 ? 'es' : ''}`;
+        resultsSubtitle.textContent = `Found ${results.length} match${results.length > 1 ? 'es' : ''}` +
+            (results.length > reverseResultsState.shown ? ` • showing ${reverseResultsState.shown}` : '');
     }
     
-    let html = '';
-    results.slice(0, 10).forEach((result) => {
-        const favoriteKey = `${result.english}:${result.fullDefinition}`;
-        const isFavorite = favorites.has(favoriteKey);
-        
-        html += `
-            <div class="word-card">
+    const oldButton = document.getElementById('loadMoreBtn');
+    if (oldButton) {
+        oldButton.remove();
+    }
+    
+    const remaining = results.length - reverseResultsState.shown;
+    if (remaining > 0) {
+        list.insertAdjacentHTML('afterend', `
+            <button class="load-more-btn" id="loadMoreBtn" onclick="loadMoreReverseResults()">
+                Load more (${remaining} remaining)
+            </button>
+        `);
+    }
+}
+
+function renderReverseCard(result) {
+    return `
+        <div class="word-card">
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(result.english)}</h3>
+                <div class="word-actions">
+                    ${renderCopyLinkButton(searchRoute(result.english))}
+                    ${renderFavoriteStar(result.english, result.fullDefinition, 'offline', 'mizo-to-en')}
+                </div>
+            </div>
+            <div class="definition">${escapeHtml(result.fullDefinition)}</div>
+            <div style="margin-top: 10px;">
+                <span class="offline-badge">⚡ Offline (Mizo → English)</span>
+                ${result.exact === false ? `<span class="matched-form">matched "${escapeHtml(result.matchedForm)}"</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Both sources at once; either may come back empty without failing the other
+async function searchHybrid(word, direction) {
+    showLoadingState('Looking up and translating...');
+    
+    if (!serverConnected) {
+        await checkServerConnection();
+    }
+    
+    const offlineLookup = direction === 'mizo-to-en'
+        ? queryDictionary('reverse', { word: word }).then(results => ({ type: 'reverse', results: results }))
+        : queryDictionary('search', { query: word, direction: 'english' })
+            // Only an English entry answers this direction, not a Mizo fallback
+            .then(result => result.type === 'word' ? result : { type: 'none' });
+    
+    const [offline, machine] = await Promise.all([
+        offlineLookup.catch(error => ({ type: 'none', error: error.message })),
+        translateRemotely(word, direction)
+    ]);
+    
+    displayHybridResult(word, direction, offline, machine);
+}
+
+// Machine translation only, from the cache or the server:
+// { translation, cached, stale } or { error }
+async function translateRemotely(word, direction) {
+    const cached = getCachedTranslation(direction, word);
+    if (cached && !cached.stale) {
+        return { translation: cached.translation, cached: true, stale: false };
+    }
+    
+    const remote = TRANSLATION_PROVIDERS.find(provider => provider.id === 'remote');
+    try {
+        if (!remote.isAvailable()) {
+            throw new Error('Translation server is unavailable');
+        }
+        const { translation } = await remote.translate(word, direction);
+        cacheTranslation(direction, word, translation);
+        return { translation: translation, cached: false, stale: false };
+    } catch (error) {
+        console.error('Translation error:', error);
+        return cached ? { translation: cached.translation, cached: true, stale: true } : { error: error.message };
+    }
+}
+
+// Does the machine translation occur, as whole words, in the dictionary text?
+// Accents and case are ignored, as are leading "to"/"a"/"the".
+function translationAppearsIn(translation, text) {
+    const words = tokenizeForSearch(foldForSearch(translation.normalize('NFC')))
+        .filter((word, i, all) => !(i === 0 && all.length > 1 && ['to', 'a', 'an', 'the'].includes(word)));
+    if (words.length === 0) return true;
+    
+    const pattern = fullTextPattern({ term: words.length === 1 ? words[0] : words, kind: words.length === 1 ? 'word' : 'phrase' });
+    return pattern.test(foldForSearch(text.normalize('NFC')));
+}
+
+function displayHybridResult(word, direction, offline, machine) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = `Result for "${word}"`;
+    }
+    
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = `${direction === 'mizo-to-en' ? 'Mizo → English' : 'English → Mizo'} • dictionary and machine translation`;
+    }
+    
+    // Dictionary column, and the text the machine translation is checked against
+    let dictionaryHtml = '<p class="hybrid-empty">Not in the offline dictionary</p>';
+    let dictionaryText = null;
+    
+    if (offline.type === 'word') {
+        dictionaryText = offline.definition;
+        dictionaryHtml = `
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(offline.word)}</h3>
+                ${renderFavoriteStar(offline.word, offline.definition, 'offline', 'en-to-mizo')}
+            </div>
+            ${offline.searchedForm ? `
+                <div class="result-note">Showing <em>${escapeHtml(offline.matchedForm || offline.word)}</em> for "${escapeHtml(offline.searchedForm)}"</div>
+            ` : ''}
+            ${renderEntryBody(parseEntry(offline.word, offline.definition), offline.matchedForm)}
+        `;
+    } else if (offline.type === 'reverse' && offline.results.length > 0) {
+        const results = offline.results.slice(0, 5);
+        dictionaryText = results.map(result => result.english).join(', ');
+        dictionaryHtml = results.map(result => `
+            <div class="hybrid-reverse">
                 <div class="word-header">
                     <h3 class="word">${escapeHtml(result.english)}</h3>
-                    <button class="favorite-star ${isFavorite ? 'active' : ''}" 
-                            onclick="toggleFavorite('${escapeHtml(result.english)}', '${escapeHtml(result.fullDefinition)}')">
-                        <i class="fas fa-star"></i>
-                    </button>
+                    ${renderFavoriteStar(result.english, result.fullDefinition, 'offline', 'mizo-to-en')}
                 </div>
-                <div class="definition">${escapeHtml(result.fullDefinition)}</div>
-                <div style="margin-top: 10px;">
-                    <span class="offline-badge">⚡ Offline (Mizo → English)</span>
+                <div class="definition">${escapeHtml(truncateDefinition(result.fullDefinition, 120))}</div>
+            </div>
+        `).join('');
+    }
+    
+    let machineHtml = `<p class="hybrid-empty">${escapeHtml(machine.error || 'No translation')}</p>`;
+    if (machine.translation) {
+        const disagrees = dictionaryText !== null && !translationAppearsIn(machine.translation, dictionaryText);
+        machineHtml = `
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(machine.translation)}</h3>
+                ${renderFavoriteStar(word, machine.translation, 'online', direction)}
+            </div>
+            ${disagrees ? `
+                <div class="hybrid-flag">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Not found in the dictionary ${direction === 'mizo-to-en' ? 'results' : 'definition'} — double-check before relying on it
                 </div>
+            ` : ''}
+            <div style="margin-top: 10px;">
+                ${machine.stale ? '<span class="cached-badge stale">🕓 Saved translation (stale — server unavailable)</span>'
+                    : machine.cached ? '<span class="cached-badge">💾 Cached</span>'
+                    : '<span class="online-badge">🌐 Translation server</span>'}
             </div>
         `;
+    }
+    
+    resultsContainer.innerHTML = `
+        <div class="hybrid-header">
+            <h3 class="word">${escapeHtml(word)}</h3>
+            <div class="word-actions">
+                ${renderCopyLinkButton(searchRoute(word, direction, 'hybrid'))}
+            </div>
+        </div>
+        <div class="hybrid-grid">
+            <div class="hybrid-column">
+                <div class="hybrid-label"><span class="offline-badge">⚡ Offline dictionary</span></div>
+                ${dictionaryHtml}
+            </div>
+            <div class="hybrid-column">
+                <div class="hybrid-label"><span class="online-badge">🌐 Machine translation</span></div>
+                ${machineHtml}
+            </div>
+        </div>
+    `;
+}
+
+function displayFullTextResults(query, page) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = `Definitions mentioning ${query}`;
+    }
+    
+    fullTextState = { query: query, total: page.total, shown: 0 };
+    resultsContainer.innerHTML = '<div id="fullTextResultsList"></div>';
+    appendFullTextResults(page.results);
+}
+
+async function loadMoreFullTextResults() {
+    if (!fullTextState) return;
+    
+    const state = fullTextState;
+    let page;
+    try {
+        page = await queryDictionary('fulltext', {
+            query: state.query,
+            offset: state.shown,
+            limit: FULL_TEXT_PAGE_SIZE
+        });
+    } catch (error) {
+        console.error('Full-text search error:', error);
+        showError(`Could not load more results for "${state.query}". ${error.message}`);
+        return;
+    }
+    
+    // Another search may have replaced the results meanwhile
+    if (fullTextState === state) {
+        appendFullTextResults(page.results);
+    }
+}
+
+function appendFullTextResults(results) {
+    const list = document.getElementById('fullTextResultsList');
+    list.insertAdjacentHTML('beforeend', results.map(renderFullTextCard).join(''));
+    fullTextState.shown += results.length;
+    
+    const { total, shown } = fullTextState;
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = `Found in ${total} entr${total === 1 ? 'y' : 'ies'}` +
+            (total > shown ? ` • showing ${shown}` : '');
+    }
+    
+    const oldButton = document.getElementById('loadMoreBtn');
+    if (oldButton) {
+        oldButton.remove();
+    }
+    
+    if (total > shown) {
+        list.insertAdjacentHTML('afterend', `
+            <button class="load-more-btn" id="loadMoreBtn" onclick="loadMoreFullTextResults()">
+                Load more (${total - shown} remaining)
+            </button>
+        `);
+    }
+}
+
+function renderFullTextCard(result) {
+    return `
+        <div class="word-card">
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(result.word)}</h3>
+                <div class="word-actions">
+                    ${renderCopyLinkButton(searchRoute(result.word))}
+                    ${renderFavoriteStar(result.word, dictionary[result.word], 'offline', 'en-to-mizo')}
+                </div>
+            </div>
+            <div class="definition">${renderHighlighted(result.definition, result.highlights)}</div>
+            <div style="margin-top: 10px;">
+                <span class="offline-badge">⚡ Offline (full text)</span>
+            </div>
+        </div>
+    `;
+}
+
+// Wrap the [start, end] spans of text in <mark>, escaping everything
+function renderHighlighted(text, spans) {
+    let html = '';
+    let position = 0;
+    spans.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start));
+        html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+// provider is the TRANSLATION_PROVIDERS entry that answered (none when cached)
+function displayOnlineResult(query, translation, direction, cached, provider) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = `Result for "${query}"`;
+    }
+    
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = direction === 'mizo-to-en' ? 'Mizo → English' : 'English → Mizo';
+    }
+    
+    let badge = '<span class="cached-badge">💾 Cached</span>';
+    if (!cached && provider.id === 'remote') {
+        badge = `<span class="online-badge">🌐 ${escapeHtml(provider.label)}</span>`;
+    } else if (!cached && provider.id === 'saved') {
+        badge = `<span class="cached-badge stale">🕓 ${escapeHtml(provider.label)} (stale — server unavailable)</span>`;
+    } else if (!cached) {
+        badge = `<span class="offline-badge">⚡ ${escapeHtml(provider.label)} (server unavailable)</span>`;
+    }
+    
+    resultsContainer.innerHTML = `
+        <div class="word-card">
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(query)}</h3>
+                <div class="word-actions">
+                    ${renderCopyLinkButton(searchRoute(query, direction))}
+                    ${renderFavoriteStar(query, translation, 'online', direction)}
+                </div>
+            </div>
+            <div class="definition">${escapeHtml(translation)}</div>
+            <div style="margin-top: 10px;">${badge}</div>
+        </div>
+    `;
+}
+
+function displayNoResult(query, suggestions = []) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = 'No results found';
+    }
+    
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = `No match for "${query}"`;
+    }
+    
+    resultsContainer.innerHTML = `
+        <div class="empty-state">
+            <i class="fas fa-search"></i>
+            <h3>Word not found</h3>
+            <p>No translation found for "<strong>${escapeHtml(query)}</strong>"</p>
+            ${suggestions.length > 0 ? renderSuggestions(suggestions) : '<p>Try searching for a different word or check the spelling</p>'}
+            ${currentMode === 'offline' ? `
+                <button class="quiz-secondary-btn" onclick="editEntry('${escapeHtml(escapeJsString(query))}')">
+                    <i class="fas fa-plus"></i> Add "${escapeHtml(query)}" to my dictionary
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderSuggestions(suggestions) {
+    let html = '<p>Did you mean…</p><div class="suggestion-list">';
+    suggestions.forEach(suggestion => {
+        const label = suggestion.direction === 'mizo' ? 'Mizo → English' : 'English → Mizo';
+        html += `
+            <button class="suggestion-chip" title="${label}"
+                    onclick="performSearch('${escapeHtml(escapeJsString(suggestion.word))}')">
+                ${escapeHtml(suggestion.word)}
+            </button>
+        `;
+    });
+    return html + '</div>';
+}
+
+function showLoadingState(message) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    if (resultsContainer) {
+        resultsContainer.innerHTML = `
+            <div class="empty-state">
+                <div class="spinner"></div>
+                <p>${escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+}
+
+function showError(message) {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    if (resultsContainer) {
+        resultsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-circle"></i>
+                <h3>Error</h3>
+                <p>${escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+}
+
+function clearResults() {
+    const resultsContainer = document.getElementById('dictionaryResults');
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    
+    if (resultsContainer) {
+        resultsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <h3>Search the Dictionary</h3>
+                <p>Enter a word in the search bar above to find its translation</p>
+            </div>
+        `;
+    }
+    
+    if (resultsTitle) {
+        resultsTitle.textContent = 'Dictionary Results';
+    }
+    
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = 'Type a word to begin your search';
+    }
+}
+
+// ============================================
+// FAVORITES & RECENT SEARCHES
+// ============================================
+
+function loadUserData() {
+    try {
+        const savedFavorites = localStorage.getItem('favoriteRecords');
+        if (savedFavorites) {
+            favorites = new Map(JSON.parse(savedFavorites).map(record => [record.id, record]));
+        }
+        
+        const savedSearches = localStorage.getItem('recentSearches');
+        if (savedSearches) {
+            recentSearches = JSON.parse(savedSearches);
+        }
+    } catch (error) {
+        console.error('Error loading user data:', error);
+    }
+}
+
+function saveUserData() {
+    try {
+        localStorage.setItem('favoriteRecords', JSON.stringify([...favorites.values()]));
+        localStorage.setItem('recentSearches', JSON.stringify(recentSearches));
+        noteLocalChange();
+    } catch (error) {
+        console.error('Error saving user data:', error);
+    }
+}
+
+// The same headword can be saved once per source: the offline entry and an
+// online translation of it are different favorites
+function favoriteId(word, mode, direction) {
+    return `${mode}:${direction}:${word}`;
+}
+
+// mode is 'offline' or 'online'; direction is 'en-to-mizo' or 'mizo-to-en'
+function createFavorite(word, definition, mode, direction) {
+    return {
+        id: favoriteId(word, mode, direction),
+        word: word,
+        definition: definition,
+        source: { mode: mode, direction: direction },
+        addedAt: new Date().toISOString(),
+        note: '',
+        tags: []
+    };
+}
+
+// Favorites used to be "word:definition" strings under the `favorites` key,
+// which lost everything after a second colon. Convert them once, using the
+// dictionary to tell offline entries from online translations.
+function migrateLegacyFavorites() {
+    const legacy = localStorage.getItem('favorites');
+    if (!legacy) return;
+    
+    try {
+        const entries = JSON.parse(legacy);
+        const migratedAt = new Date().toISOString();
+        
+        entries.forEach(entry => {
+            // Offline entries: find the colon that splits off a headword with
+            // exactly this definition ("biserrate \t: ..." has one in the key)
+            let separator = entry.indexOf(':');
+            for (let i = separator; i >= 0; i = entry.indexOf(':', i + 1)) {
+                if (dictionary[entry.slice(0, i)] === entry.slice(i + 1)) {
+                    separator = i;
+                    break;
+                }
+            }
+            
+            const word = separator >= 0 ? entry.slice(0, separator) : entry;
+            const definition = separator >= 0 ? entry.slice(separator + 1) : '';
+            const isOffline = dictionary[word] === definition;
+            const direction = isOffline || dictionary[word] ? 'en-to-mizo' : 'mizo-to-en';
+            
+            const record = createFavorite(word, definition, isOffline ? 'offline' : 'online', direction);
+            record.addedAt = migratedAt;
+            if (!favorites.has(record.id)) {
+                favorites.set(record.id, record);
+            }
+        });
+        
+        saveUserData();
+        localStorage.removeItem('favorites');
+        console.log(`✓ Migrated ${entries.length} favorites to the new format`);
+    } catch (error) {
+        console.error('Error migrating favorites:', error);
+    }
+}
+
+function renderFavoriteStar(word, definition, mode, direction) {
+    const isFavorite = favorites.has(favoriteId(word, mode, direction));
+    const args = [word, definition, mode, direction].map(arg => `'${escapeHtml(escapeJsString(arg))}'`).join(', ');
+    return `
+        <button class="favorite-star ${isFavorite ? 'active' : ''}" 
+                onclick="toggleFavorite(${args}, this)">
+            <i class="fas fa-star"></i>
+        </button>
+    `;
+}
+
+// button is the star that was clicked, so it can reflect the new state
+function toggleFavorite(word, definition, mode, direction, button) {
+    const id = favoriteId(word, mode, direction);
+    
+    if (favorites.has(id)) {
+        favorites.delete(id);
+    } else {
+        favorites.set(id, createFavorite(word, definition, mode, direction));
+    }
+    
+    if (button) {
+        button.classList.toggle('active', favorites.has(id));
+    }
+    
+    saveUserData();
+    updateStats();
+    updateSidebar();
+    
+    // Update current view if in favorites tab
+    if (document.getElementById('favoritesView').classList.contains('active')) {
+        displayFavorites();
+    }
+}
+
+function removeFavorite(id) {
+    favorites.delete(id);
+    saveUserData();
+    updateSidebar();
+    displayFavorites();
+}
+
+function addToRecentSearches(word) {
+    recentSearches = recentSearches.filter(w => w !== word);
+    recentSearches.unshift(word);
+    
+    if (recentSearches.length > MAX_RECENT_SEARCHES) {
+        recentSearches = recentSearches.slice(0, MAX_RECENT_SEARCHES);
+    }
+    
+    saveUserData();
+    updateSidebar();
+}
+
+function describeSource(source) {
+    const mode = source.mode === 'online' ? '🌐 Online' : '⚡ Offline';
+    const direction = source.direction === 'mizo-to-en' ? 'Mizo → English' : 'English → Mizo';
+    return `${mode} • ${direction}`;
+}
+
+// Favorites after the Favorites view's sort, tag and source choices
+function getFilteredFavorites() {
+    const { sort, tag, source } = favoritesFilter;
+    const records = [...favorites.values()].filter(record =>
+        (!tag || record.tags.includes(tag)) &&
+        (!source || `${record.source.mode}:${record.source.direction}` === source)
+    );
+    
+    const sorters = {
+        newest: (a, b) => b.addedAt.localeCompare(a.addedAt),
+        oldest: (a, b) => a.addedAt.localeCompare(b.addedAt),
+        alphabetical: (a, b) => a.word.localeCompare(b.word)
+    };
+    return records.sort(sorters[sort] || sorters.newest);
+}
+
+function setFavoritesFilter(key, value) {
+    favoritesFilter[key] = value;
+    displayFavorites();
+}
+
+function displayFavorites() {
+    const favoritesContainer = document.getElementById('favoritesList');
+    if (!favoritesContainer) return;
+    
+    renderFavoritesToolbar();
+    
+    if (favorites.size === 0) {
+        favoritesContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-star"></i>
+                <h3>No favorites yet</h3>
+                <p>Click the star icon on any word to add it to your favorites</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const records = getFilteredFavorites();
+    if (records.length === 0) {
+        favoritesContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-filter"></i>
+                <h3>No matching favorites</h3>
+                <p>Try a different tag or source</p>
+            </div>
+        `;
+        return;
+    }
+    
+    let html = '';
+    records.forEach((record, i) => {
+        const id = escapeHtml(escapeJsString(record.id));
+        html += `
+            <div class="word-card">
+                <div class="word-header">
+                    <h3 class="word">${escapeHtml(record.word)}</h3>
+                    <button class="favorite-star active" onclick="removeFavorite('${id}')">
+                        <i class="fas fa-star"></i>
+                    </button>
+                </div>
+                <div class="favorite-meta">
+                    ${describeSource(record.source)} • added ${new Date(record.addedAt).toLocaleDateString()}
+                </div>
+                <div class="definition">${escapeHtml(truncateDefinition(record.definition, 100))}</div>
+                ${record.note ? `<div class="favorite-note">${escapeHtml(record.note)}</div>` : ''}
+                <div class="favorite-tags">
+                    ${record.tags.map(tag => `<span class="favorite-tag">${escapeHtml(tag)}</span>`).join('')}
+                    <button class="favorite-edit-btn" onclick="toggleFavoriteEditor(${i})">
+                        <i class="fas fa-pen"></i> Note & tags
+                    </button>
+                </div>
+                <div class="favorite-editor" id="favoriteEditor${i}" style="display: none;">
+                    <textarea id="favoriteNote${i}" rows="2" placeholder="Your note">${escapeHtml(record.note)}</textarea>
+                    <input type="text" id="favoriteTags${i}" placeholder="Tags, separated by commas"
+                           value="${escapeAttribute(record.tags.join(', '))}">
+                    <button class="favorite-save-btn" onclick="saveFavoriteDetails('${id}', ${i})">Save</button>
+                </div>
+            </div>
+        `;
+    });
+    
+    favoritesContainer.innerHTML = html;
+}
+
+function renderFavoritesToolbar() {
+    const toolbar = document.getElementById('favoritesToolbar');
+    if (!toolbar) return;
+    
+    const tags = [...new Set([...favorites.values()].flatMap(record => record.tags))].sort();
+    const option = (value, label, selected) =>
+        `<option value="${escapeAttribute(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    
+    toolbar.innerHTML = `
+        <select onchange="setFavoritesFilter('sort', this.value)" aria-label="Sort favorites">
+            ${option('newest', 'Newest first', favoritesFilter.sort)}
+            ${option('oldest', 'Oldest first', favoritesFilter.sort)}
+            ${option('alphabetical', 'A → Z', favoritesFilter.sort)}
+        </select>
+        <select onchange="setFavoritesFilter('tag', this.value)" aria-label="Filter by tag">
+            ${option('', 'All tags', favoritesFilter.tag)}
+            ${tags.map(tag => option(tag, `#${tag}`, favoritesFilter.tag)).join('')}
+        </select>
+        <select onchange="setFavoritesFilter('source', this.value)" aria-label="Filter by source">
+            ${option('', 'All sources', favoritesFilter.source)}
+            ${option('offline:en-to-mizo', '⚡ Offline • English → Mizo', favoritesFilter.source)}
+            ${option('offline:mizo-to-en', '⚡ Offline • Mizo → English', favoritesFilter.source)}
+            ${option('online:en-to-mizo', '🌐 Online • English → Mizo', favoritesFilter.source)}
+            ${option('online:mizo-to-en', '🌐 Online • Mizo → English', favoritesFilter.source)}
+        </select>
+    `;
+}
+
+function toggleFavoriteEditor(index) {
+    const editor = document.getElementById(`favoriteEditor${index}`);
+    if (editor) {
+        editor.style.display = editor.style.display === 'none' ? 'flex' : 'none';
+    }
+}
+
+function saveFavoriteDetails(id, index) {
+    const record = favorites.get(id);
+    if (!record) return;
+    
+    record.note = document.getElementById(`favoriteNote${index}`).value.trim();
+    record.tags = [...new Set(
+        document.getElementById(`favoriteTags${index}`).value
+            .split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(Boolean)
+    )];
+    
+    saveUserData();
+    displayFavorites();
+}
+
+// ============================================
+// BACKUP, IMPORT & EXPORT
+// ============================================
+
+// Everything the user has saved, as a versioned JSON document
+function createBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        favorites: [...favorites.values()],
+        recentSearches: recentSearches,
+        wotdHistory: JSON.parse(localStorage.getItem('wotdHistory') || '[]')
+    };
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(kind, extension) {
+    const today = new Date().toISOString().split('T')[0];
+    return `thumal-${kind}-${today}.${extension}`;
+}
+
+function exportBackup() {
+    downloadFile(exportFilename('backup', 'json'), JSON.stringify(createBackup(), null, 2), 'application/json');
+    showBackupStatus(`Exported ${favorites.size} favorites, ${recentSearches.length} recent searches and Word of the Day history.`);
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportFavoritesCsv() {
+    const rows = [['word', 'definition', 'mode', 'direction', 'added', 'note', 'tags']];
+    [...favorites.values()].forEach(record => {
+        rows.push([
+            record.word,
+            record.definition,
+            record.source.mode,
+            record.source.direction,
+            record.addedAt,
+            record.note,
+            record.tags.join(', ')
+        ]);
+    });
+    
+    // The byte order mark lets Excel open the Mizo characters correctly
+    const csv = '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n');
+    downloadFile(exportFilename('favorites', 'csv'), csv, 'text/csv');
+    showBackupStatus(`Exported ${favorites.size} favorites as CSV.`);
+}
+
+// Tab-separated notes with a header Anki reads on import (File → Import):
+// front, back, tags. Fields are HTML, so tabs and newlines can't leak through.
+function exportAnkiDeck() {
+    const field = (text) => escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+    const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+    
+    [...favorites.values()].forEach(record => {
+        const back = record.note
+            ? `${field(record.definition)}<br><br><i>${field(record.note)}</i>`
+            : field(record.definition);
+        const tags = ['thumal', record.source.direction, ...record.tags]
+            .map(tag => tag.replace(/\s+/g, '_'))
+            .join(' ');
+        lines.push([field(record.word), back, tags].join('\t'));
+    });
+    
+    downloadFile(exportFilename('anki', 'txt'), lines.join('\n'), 'text/plain');
+    showBackupStatus(`Exported ${favorites.size} cards for Anki.`);
+}
+
+// Turn an imported favorite into a well-formed record, or null if unusable
+function normalizeImportedFavorite(item) {
+    if (!item || typeof item.word !== 'string' || typeof item.definition !== 'string' || !item.word.trim()) {
+        return null;
+    }
+    
+    const source = item.source || {};
+    const mode = source.mode === 'online' ? 'online' : 'offline';
+    const direction = source.direction === 'mizo-to-en' ? 'mizo-to-en' : 'en-to-mizo';
+    const record = createFavorite(item.word, item.definition, mode, direction);
+    
+    if (typeof item.addedAt === 'string' && !isNaN(Date.parse(item.addedAt))) {
+        record.addedAt = item.addedAt;
+    }
+    record.note = typeof item.note === 'string' ? item.note : '';
+    record.tags = Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [];
+    return record;
+}
+
+// Merge a backup into the current data; existing entries always win, so
+// importing the same file twice adds nothing the second time
+function mergeBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a Thumal backup');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the app');
+    }
+    
+    const added = { favorites: 0, recentSearches: 0, wotdHistory: 0 };
+    
+    (Array.isArray(backup.favorites) ? backup.favorites : []).forEach(item => {
+        const record = normalizeImportedFavorite(item);
+        if (record && !favorites.has(record.id)) {
+            favorites.set(record.id, record);
+            added.favorites++;
+        }
+    });
+    
+    (Array.isArray(backup.recentSearches) ? backup.recentSearches : []).forEach(word => {
+        if (typeof word === 'string' && !recentSearches.includes(word) &&
+            recentSearches.length < MAX_RECENT_SEARCHES) {
+            recentSearches.push(word);
+            added.recentSearches++;
+        }
+    });
+    
+    const history = JSON.parse(localStorage.getItem('wotdHistory') || '[]');
+    const knownDates = new Set(history.map(item => item.date));
+    const importedDates = new Set();
+    (Array.isArray(backup.wotdHistory) ? backup.wotdHistory : []).forEach(item => {
+        if (item && typeof item.date === 'string' && typeof item.word === 'string' && !knownDates.has(item.date)) {
+            history.push({ date: item.date, word: item.word, definition: item.definition || '' });
+            knownDates.add(item.date);
+            importedDates.add(item.date);
+        }
+    });
+    
+    history.sort((a, b) => b.date.localeCompare(a.date));
+    const keptHistory = history.slice(0, WOTD_HISTORY_LIMIT);
+    added.wotdHistory = keptHistory.filter(item => importedDates.has(item.date)).length;
+    
+    saveUserData();
+    localStorage.setItem('wotdHistory', JSON.stringify(keptHistory));
+    noteLocalChange();
+    return added;
+}
+
+async function importBackup(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        const added = mergeBackup(JSON.parse(await file.text()));
+        const parts = [
+            `${added.favorites} favorite${added.favorites === 1 ? '' : 's'}`,
+            `${added.recentSearches} recent search${added.recentSearches === 1 ? '' : 'es'}`,
+            `${added.wotdHistory} Word of the Day entr${added.wotdHistory === 1 ? 'y' : 'ies'}`
+        ];
+        showBackupStatus(`Imported ${parts.join(', ')} from ${file.name}.`);
+        console.log('✓ Backup imported:', added);
+        
+        updateStats();
+        updateSidebar();
+        displayFavorites();
+    } catch (error) {
+        console.error('Error importing backup:', error);
+        showBackupStatus(`Could not import ${file.name}: ${error instanceof SyntaxError ? 'not a valid JSON file' : error.message}`, true);
+    }
+}
+
+function showBackupStatus(message, isError = false) {
+    const status = document.getElementById('backupStatus');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        status.style.display = 'block';
+    }
+}
+
+// ============================================
+// STUDY (SPACED REPETITION)
+// ============================================
+
+// Each favorite gives two cards: word → definition and definition → word.
+// Their SM-2 state is kept under `studyCards`, keyed by card id.
+function loadStudyCards() {
+    return JSON.parse(localStorage.getItem('studyCards') || '{}');
+}
+
+function saveStudyCards(cards) {
+    localStorage.setItem('studyCards', JSON.stringify(cards));
+    noteLocalChange();
+}
+
+// YYYY-MM-DD in the user's timezone, so "due today" follows their clock
+function localDateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A real YYYY-MM-DD date, i.e. one that survives a round trip through Date
+function isValidDateKey(dateKey) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return localDateKey(new Date(year, month - 1, day)) === dateKey;
+}
+
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return localDateKey(new Date(year, month - 1, day + days));
+}
+
+function buildStudyDeck() {
+    const deck = [];
+    favorites.forEach(record => {
+        deck.push({ id: `${record.id}|forward`, favorite: record, reverse: false });
+        deck.push({ id: `${record.id}|reverse`, favorite: record, reverse: true });
+    });
+    return deck;
+}
+
+// Cards that have never been studied are due straight away
+function getDueCards(deck, cards, today = localDateKey()) {
+    return deck.filter(card => !cards[card.id] || cards[card.id].due <= today);
+}
+
+// SM-2: quality is 0–5, anything below 3 is a lapse and starts the card over
+function scheduleCard(state, quality, today = localDateKey()) {
+    const previous = state || { repetitions: 0, interval: 0, ease: 2.5 };
+    const next = { ...previous };
+    
+    if (quality < 3) {
+        next.repetitions = 0;
+        next.interval = 0;
+    } else {
+        next.repetitions = previous.repetitions + 1;
+        if (next.repetitions === 1) {
+            next.interval = 1;
+        } else if (next.repetitions === 2) {
+            next.interval = 6;
+        } else {
+            next.interval = Math.round(previous.interval * previous.ease);
+        }
+    }
+    
+    next.ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    next.due = addDays(today, next.interval);
+    next.lastReviewed = today;
+    return next;
+}
+
+function describeInterval(days) {
+    if (days === 0) return 'today';
+    if (days === 1) return '1 day';
+    if (days < 30) return `${days} days`;
+    const months = Math.round(days / 30);
+    return months === 1 ? '1 month' : `${months} months`;
+}
+
+// The streak counts consecutive days with at least one review
+function loadStudyStreak() {
+    const saved = JSON.parse(localStorage.getItem('studyStreak') || '{"count":0,"lastDate":null}');
+    const today = localDateKey();
+    const isCurrent = saved.lastDate === today || saved.lastDate === addDays(today, -1);
+    return { count: isCurrent ? saved.count : 0, lastDate: saved.lastDate };
+}
+
+function recordStudyDay() {
+    const today = localDateKey();
+    const streak = loadStudyStreak();
+    if (streak.lastDate === today) return;
+    
+    localStorage.setItem('studyStreak', JSON.stringify({ count: streak.count + 1, lastDate: today }));
+    noteLocalChange();
+}
+
+function startStudySession() {
+    const deck = buildStudyDeck();
+    const queue = getDueCards(deck, loadStudyCards());
+    
+    // Shuffle so the two cards of one favorite rarely come back to back
+    for (let i = queue.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [queue[i], queue[j]] = [queue[j], queue[i]];
+    }
+    
+    studySession = { queue: queue, revealed: false, reviewed: 0 };
+    displayStudy();
+}
+
+function revealStudyCard() {
+    if (!studySession) return;
+    studySession.revealed = true;
+    displayStudy();
+}
+
+function rateStudyCard(quality) {
+    if (!studySession || studySession.queue.length === 0) return;
+    
+    const card = studySession.queue.shift();
+    const cards = loadStudyCards();
+    cards[card.id] = scheduleCard(cards[card.id], quality);
+    saveStudyCards(cards);
+    
+    // A lapsed card is shown again at the end of this session
+    if (cards[card.id].interval === 0) {
+        studySession.queue.push(card);
+    }
+    
+    studySession.reviewed++;
+    studySession.revealed = false;
+    recordStudyDay();
+    displayStudy();
+}
+
+function renderStudySummary(deck, cards) {
+    const due = getDueCards(deck, cards).length;
+    const fresh = deck.filter(card => !cards[card.id]).length;
+    const streak = loadStudyStreak().count;
+    
+    return `
+        <div class="study-summary">
+            <div class="study-stat"><strong>${due}</strong><span>due today</span></div>
+            <div class="study-stat"><strong>${fresh}</strong><span>new</span></div>
+            <div class="study-stat"><strong>${deck.length}</strong><span>cards</span></div>
+            <div class="study-stat"><strong>${streak}</strong><span>day streak 🔥</span></div>
+        </div>
+    `;
+}
+
+function displayStudy() {
+    const container = document.getElementById('studyContent');
+    if (!container || !studySession) return;
+    
+    const deck = buildStudyDeck();
+    const cards = loadStudyCards();
+    let html = renderStudySummary(deck, cards);
+    
+    if (deck.length === 0) {
+        container.innerHTML = html + `
+            <div class="empty-state">
+                <i class="fas fa-graduation-cap"></i>
+                <h3>Nothing to study yet</h3>
+                <p>Star words in the dictionary and they will turn into flashcards here</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const card = studySession.queue[0];
+    if (!card) {
+        container.innerHTML = html + `
+            <div class="empty-state">
+                <i class="fas fa-check-circle"></i>
+                <h3>All done for today</h3>
+                <p>${studySession.reviewed ? `You reviewed ${studySession.reviewed} card${studySession.reviewed === 1 ? '' : 's'}. ` : ''}Come back tomorrow for the next reviews</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const { favorite, reverse } = card;
+    const wordIsEnglish = favorite.source.direction === 'en-to-mizo';
+    const wordLanguage = wordIsEnglish ? 'English' : 'Mizo';
+    const definitionLanguage = wordIsEnglish ? 'Mizo' : 'English';
+    const front = reverse ? favorite.definition : favorite.word;
+    const back = reverse ? favorite.word : favorite.definition;
+    
+    html += `
+        <div class="study-card">
+            <div class="study-prompt">
+                ${reverse ? `${definitionLanguage} → ${wordLanguage}` : `${wordLanguage} → ${definitionLanguage}`}
+                • ${studySession.queue.length} left
+            </div>
+            <div class="study-front ${reverse ? 'definition' : 'word'}">${escapeHtml(front)}</div>
+    `;
+    
+    if (studySession.revealed) {
+        const state = cards[card.id];
+        html += `
+            <div class="study-back ${reverse ? 'word' : 'definition'}">${escapeHtml(back)}</div>
+            <div class="study-ratings">
+                ${STUDY_RATINGS.map(rating => `
+                    <button class="study-rating-btn" onclick="rateStudyCard(${rating.quality})">
+                        ${rating.label}
+                        <small>${describeInterval(scheduleCard(state, rating.quality).interval)}</small>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    } else {
+        html += `<button class="study-reveal-btn" onclick="revealStudyCard()">Show answer</button>`;
+    }
+    
+    container.innerHTML = html + '</div>';
+}
+
+// ============================================
+// QUIZ
+// ============================================
+
+// Settings remembered between rounds, so a class can replay the same level
+function loadQuizSettings() {
+    const defaults = { direction: 'en-to-mizo', band: 'easy', mode: 'practice', player: '' };
+    return { ...defaults, ...JSON.parse(localStorage.getItem('quizSettings') || '{}') };
+}
+
+function readQuizSettings() {
+    return {
+        direction: document.getElementById('quizDirection').value,
+        band: document.getElementById('quizBand').value,
+        mode: document.getElementById('quizMode').value,
+        player: document.getElementById('quizPlayer').value.trim()
+    };
+}
+
+function describeQuizSettings(settings) {
+    const direction = settings.direction === 'mizo-to-en' ? 'Mizo → English' : 'English → Mizo';
+    const band = settings.band.charAt(0).toUpperCase() + settings.band.slice(1);
+    const mode = settings.mode === 'timed' ? `${QUIZ_TIMED_SECONDS}s timed` : `${QUIZ_ROUND_LENGTH} questions`;
+    return `${direction} • ${band} • ${mode}`;
+}
+
+function showQuizSetup() {
+    const container = document.getElementById('quizContent');
+    if (!container) return;
+    
+    stopQuizTimer();
+    quizState = null;
+    const settings = loadQuizSettings();
+    const option = (value, label, selected) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+    
+    container.innerHTML = `
+        <div class="quiz-setup">
+            <label>Direction
+                <select id="quizDirection" onchange="updateQuizHighScores()">
+                    ${option('en-to-mizo', 'English word → Mizo meaning', settings.direction)}
+                    ${option('mizo-to-en', 'Mizo word → English word', settings.direction)}
+                </select>
+            </label>
+            <label>Difficulty
+                <select id="quizBand" onchange="updateQuizHighScores()">
+                    ${option('easy', 'Easy (short words)', settings.band)}
+                    ${option('medium', 'Medium', settings.band)}
+                    ${option('hard', 'Hard (long words)', settings.band)}
+                </select>
+            </label>
+            <label>Round
+                <select id="quizMode" onchange="updateQuizHighScores()">
+                    ${option('practice', `${QUIZ_ROUND_LENGTH} questions`, settings.mode)}
+                    ${option('timed', `Beat the clock (${QUIZ_TIMED_SECONDS} seconds)`, settings.mode)}
+                </select>
+            </label>
+            <label>Player
+                <input type="text" id="quizPlayer" maxlength="20" placeholder="Your name" value="${escapeAttribute(settings.player)}">
+            </label>
+            <button class="study-reveal-btn" onclick="startQuiz()">Start quiz</button>
+        </div>
+        <div id="quizHighScores"></div>
+    `;
+    
+    updateQuizHighScores();
+}
+
+// "Play again" passes the saved settings, as the setup form is gone by then
+async function startQuiz(settings = readQuizSettings()) {
+    localStorage.setItem('quizSettings', JSON.stringify(settings));
+    
+    const container = document.getElementById('quizContent');
+    container.innerHTML = '<div class="empty-state"><div class="spinner"></div><p>Preparing questions…</p></div>';
+    
+    try {
+        // A timed round fetches more questions as it runs low
+        const count = settings.mode === 'timed' ? 30 : QUIZ_ROUND_LENGTH;
+        const questions = await queryDictionary('quiz', { direction: settings.direction, band: settings.band, count: count });
+        if (questions.length === 0) {
+            throw new Error('No questions are available for this level');
+        }
+        
+        quizState = {
+            settings: settings,
+            questions: questions,
+            index: 0,
+            score: 0,
+            answered: null,
+            endsAt: null,
+            timer: null
+        };
+        
+        if (settings.mode === 'timed') {
+            quizState.endsAt = Date.now() + QUIZ_TIMED_SECONDS * 1000;
+            quizState.timer = setInterval(updateQuizTimer, 250);
+        }
+        
+        displayQuizQuestion();
+    } catch (error) {
+        console.error('Error starting quiz:', error);
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-circle"></i>
+                <h3>Could not start the quiz</h3>
+                <p>${escapeHtml(error.message)}</p>
+                <button class="study-reveal-btn" onclick="showQuizSetup()">Back</button>
+            </div>
+        `;
+    }
+}
+
+function displayQuizQuestion() {
+    const container = document.getElementById('quizContent');
+    if (!container || !quizState) return;
+    
+    const { settings, questions, index, score, answered } = quizState;
+    const question = questions[index];
+    const progress = settings.mode === 'timed'
+        ? `<span id="quizTimer">${Math.max(0, Math.ceil((quizState.endsAt - Date.now()) / 1000))}s</span>`
+        : `Question ${index + 1} of ${questions.length}`;
+    
+    let html = `
+        <div class="study-card">
+            <div class="study-prompt">${progress} • Score ${score}</div>
+            <div class="study-front word">${escapeHtml(question.prompt)}</div>
+            ${question.pos ? `<div class="quiz-pos">${escapeHtml(question.pos)}</div>` : ''}
+            <div class="quiz-choices">
+    `;
+    
+    question.choices.forEach((choice, i) => {
+        let state = '';
+        if (answered !== null) {
+            if (i === question.answer) state = 'correct';
+            else if (i === answered) state = 'wrong';
+        }
+        html += `
+            <button class="quiz-choice ${state}" onclick="answerQuiz(${i})" ${answered !== null ? 'disabled' : ''}>
+                ${escapeHtml(choice)}
+            </button>
+        `;
+    });
+    
+    html += '</div>';
+    if (answered !== null && settings.mode !== 'timed') {
+        const isLast = index + 1 >= questions.length;
+        html += `<button class="study-reveal-btn" onclick="nextQuizQuestion()">${isLast ? 'See results' : 'Next'}</button>`;
+    }
+    
+    container.innerHTML = html + '</div>';
+}
+
+function answerQuiz(choice) {
+    if (!quizState || quizState.answered !== null) return;
+    
+    quizState.answered = choice;
+    if (choice === quizState.questions[quizState.index].answer) {
+        quizState.score++;
+    }
+    displayQuizQuestion();
+    
+    // Timed rounds move on by themselves
+    if (quizState.settings.mode === 'timed') {
+        setTimeout(nextQuizQuestion, 600);
+    }
+}
+
+async function nextQuizQuestion() {
+    if (!quizState) return;
+    
+    const state = quizState;
+    state.index++;
+    state.answered = null;
+    
+    if (state.settings.mode === 'timed' && state.questions.length - state.index < 5) {
+        try {
+            const more = await queryDictionary('quiz', {
+                direction: state.settings.direction,
+                band: state.settings.band,
+                count: 30
+            });
+            state.questions.push(...more);
+        } catch (error) {
+            // The round carries on with the questions it has
+            console.warn('⚠ Could not fetch more quiz questions:', error.message);
+        }
+    }
+    
+    // The round may have ended while more questions were loading
+    if (quizState !== state) return;
+    
+    if (state.index >= state.questions.length) {
+        finishQuiz();
+    } else {
+        displayQuizQuestion();
+    }
+}
+
+function updateQuizTimer() {
+    if (!quizState) return;
+    
+    const remaining = Math.ceil((quizState.endsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+        finishQuiz();
+        return;
+    }
+    
+    const timer = document.getElementById('quizTimer');
+    if (timer) {
+        timer.textContent = `${remaining}s`;
+    }
+}
+
+function stopQuizTimer() {
+    if (quizState && quizState.timer) {
+        clearInterval(quizState.timer);
+        quizState.timer = null;
+    }
+}
+
+function finishQuiz() {
+    if (!quizState) return;
+    stopQuizTimer();
+    
+    const { settings, score } = quizState;
+    const total = settings.mode === 'timed' ? quizState.index : quizState.questions.length;
+    const rank = saveHighScore(settings, score, total);
+    quizState = null;
+    
+    document.getElementById('quizContent').innerHTML = `
+        <div class="study-card">
+            <div class="study-prompt">${describeQuizSettings(settings)}</div>
+            <div class="quiz-result">${score} / ${total}</div>
+            <p>${rank ? `🏆 New high score — #${rank} on the table!` : 'Keep practising to reach the high-score table.'}</p>
+            <button class="study-reveal-btn" onclick="startQuiz(loadQuizSettings())">Play again</button>
+            <button class="quiz-secondary-btn" onclick="showQuizSetup()">Change settings</button>
+        </div>
+        <div id="quizHighScores">${renderHighScores(settings)}</div>
+    `;
+}
+
+// High scores are kept per direction, level and round type, so only
+// comparable rounds share a table
+function highScoreKey(settings) {
+    return `${settings.direction}:${settings.band}:${settings.mode}`;
+}
+
+function loadHighScores() {
+    return JSON.parse(localStorage.getItem('quizHighScores') || '{}');
+}
+
+// Returns the new score's place on its table, or 0 if it did not make it
+function saveHighScore(settings, score, total) {
+    if (score === 0) return 0;
+    
+    const tables = loadHighScores();
+    const key = highScoreKey(settings);
+    const entry = { player: settings.player || 'Anonymous', score: score, total: total, date: localDateKey() };
+    const table = [...(tables[key] || []), entry]
+        .sort((a, b) => b.score - a.score || a.total - b.total)
+        .slice(0, MAX_HIGH_SCORES);
+    
+    tables[key] = table;
+    localStorage.setItem('quizHighScores', JSON.stringify(tables));
+    return table.indexOf(entry) + 1;
+}
+
+function renderHighScores(settings) {
+    const table = loadHighScores()[highScoreKey(settings)] || [];
+    if (table.length === 0) {
+        return `<p class="quiz-no-scores">No high scores yet for ${describeQuizSettings(settings)}</p>`;
+    }
+    
+    return `
+        <h4 class="quiz-scores-title">High scores • ${describeQuizSettings(settings)}</h4>
+        <table class="quiz-scores">
+            ${table.map((entry, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${escapeHtml(entry.player)}</td>
+                    <td>${entry.score} / ${entry.total}</td>
+                    <td>${entry.date}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+function updateQuizHighScores() {
+    const container = document.getElementById('quizHighScores');
+    if (container) {
+        container.innerHTML = renderHighScores(readQuizSettings());
+    }
+}
+
+// ============================================
+// A–Z INDEX
+// ============================================
+
+// Every headword in order. Only the rows in view (plus a few either side)
+// are in the DOM; the rest of the list is an empty spacer of the same height.
+function getIndexWords() {
+    if (!indexWords) {
+        const words = Object.keys(dictionary).sort();
+        // Still loading: try again next time rather than keep an empty list
+        if (words.length === 0) return words;
+        indexWords = words;
+    }
+    return indexWords;
+}
+
+function displayIndex() {
+    const scroller = document.getElementById('indexScroller');
+    if (!scroller) return;
+    
+    const words = getIndexWords();
+    if (words.length === 0) return;
+    
+    if (!scroller.dataset.ready) {
+        scroller.dataset.ready = 'true';
+        renderIndexLetters(words);
+        document.getElementById('indexSpacer').style.height = `${words.length * INDEX_ROW_HEIGHT}px`;
+        scroller.addEventListener('scroll', scheduleIndexRender, { passive: true });
+        window.addEventListener('resize', scheduleIndexRender);
+    }
+    
+    // The view was hidden, which loses the scroll offset; put it back
+    scroller.scrollTop = Number(sessionStorage.getItem('indexScrollTop') || 0);
+    renderIndexRows();
+}
+
+function renderIndexLetters(words) {
+    const letters = document.getElementById('indexLetters');
+    const firstIndex = {};
+    words.forEach((word, i) => {
+        const letter = word.charAt(0);
+        if (firstIndex[letter] === undefined) {
+            firstIndex[letter] = i;
+        }
+    });
+    
+    letters.innerHTML = 'abcdefghijklmnopqrstuvwxyz'.split('').map(letter => `
+        <button class="index-letter" data-letter="${letter}"
+                ${firstIndex[letter] === undefined ? 'disabled' : `onclick="scrollIndexTo(${firstIndex[letter]})"`}>
+            ${letter.toUpperCase()}
+        </button>
+    `).join('');
+}
+
+function scrollIndexTo(position) {
+    document.getElementById('indexScroller').scrollTop = position * INDEX_ROW_HEIGHT;
+}
+
+// Scroll events come faster than frames; draw at most once per frame
+function scheduleIndexRender() {
+    if (indexRenderPending) return;
+    indexRenderPending = true;
+    requestAnimationFrame(() => {
+        indexRenderPending = false;
+        renderIndexRows();
+    });
+}
+
+function renderIndexRows() {
+    const scroller = document.getElementById('indexScroller');
+    const rows = document.getElementById('indexRows');
+    if (!scroller || !rows || currentTab !== 'index') return;
+    
+    const words = getIndexWords();
+    const top = scroller.scrollTop;
+    const first = Math.max(0, Math.floor(top / INDEX_ROW_HEIGHT) - INDEX_OVERSCAN);
+    const visible = Math.ceil(scroller.clientHeight / INDEX_ROW_HEIGHT);
+    const last = Math.min(words.length, first + visible + INDEX_OVERSCAN * 2);
+    
+    let html = '';
+    for (let i = first; i < last; i++) {
+        const word = words[i];
+        html += `
+            <div class="index-row" onclick="openIndexEntry(${i})">
+                <span class="index-word">${escapeHtml(word)}</span>
+                <span class="index-preview">${escapeHtml(truncateDefinition(dictionary[word], 120))}</span>
+            </div>
+        `;
+    }
+    
+    rows.style.transform = `translateY(${first * INDEX_ROW_HEIGHT}px)`;
+    rows.innerHTML = html;
+    sessionStorage.setItem('indexScrollTop', String(top));
+    
+    // Light up the letter of the first row in view
+    const currentLetter = (words[Math.floor(top / INDEX_ROW_HEIGHT)] || '').charAt(0);
+    document.querySelectorAll('.index-letter').forEach(button => {
+        button.classList.toggle('active', button.dataset.letter === currentLetter);
+    });
+}
+
+function openIndexEntry(position) {
+    const word = getIndexWords()[position];
+    if (word !== undefined) {
+        openDictionaryEntry(word);
+    }
+}
+
+// Show a headword exactly as a search for it would
+function openDictionaryEntry(word) {
+    if (dictionary[word] === undefined) return;
+    
+    lastSearchRoute = searchRoute(word);
+    switchTab('dictionary');
+    setSearchInput(word);
+    displayWordResult(word, dictionary[word], 'English → Mizo');
+    addToRecentSearches(word);
+}
+
+// ============================================
+// WORD FINDER
+// ============================================
+
+// Runs on every keystroke; the engine's indexes make each query instant
+async function updateWordFinder() {
+    const container = document.getElementById('finderResults');
+    if (!container) return;
+    
+    const options = {
+        pattern: document.getElementById('finderPattern').value,
+        length: document.getElementById('finderLength').value,
+        contains: document.getElementById('finderContains').value,
+        rack: document.getElementById('finderRack').value,
+        subset: document.getElementById('finderSubset').checked
+    };
+    
+    const requestId = ++finderRequest;
+    let found;
+    try {
+        found = await queryDictionary('pattern', options);
+    } catch (error) {
+        if (requestId !== finderRequest) return;
+        console.error('Word finder error:', error);
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-circle"></i>
+                <p>${escapeHtml(error.message)}</p>
+            </div>
+        `;
+        return;
+    }
+    if (requestId !== finderRequest) return;
+    
+    if (!options.pattern && !options.length && !options.contains && !options.rack) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-puzzle-piece"></i>
+                <p>Try a pattern like <strong>e?o?e</strong> or <strong>*tion</strong>, or letters to anagram</p>
+            </div>
+        `;
+        return;
+    }
+    
+    if (found.total === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <h3>No matching words</h3>
+            </div>
+        `;
+        return;
+    }
+    
+    const shown = found.results.length;
+    let html = `<div class="finder-count">${found.total} word${found.total === 1 ? '' : 's'}` +
+        (found.total > shown ? ` • showing the first ${shown}` : '') + '</div>';
+    
+    found.results.forEach(match => {
+        html += `
+            <div class="finder-row" onclick="openDictionaryEntry('${escapeHtml(escapeJsString(match.word))}')">
+                <span class="index-word">${escapeHtml(match.word)} <small>${match.word.length}</small></span>
+                <span class="index-preview">${escapeHtml(truncateDefinition(match.preview, 120))}</span>
+            </div>
+        `;
+    });
+    
+    container.innerHTML = html;
+}
+
+function clearWordFinder() {
+    ['finderPattern', 'finderLength', 'finderContains', 'finderRack'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('finderSubset').checked = false;
+    updateWordFinder();
+}
+
+// ============================================
+// BATCH TRANSLATION
+// ============================================
+
+// One word or phrase per line. Only uploaded .csv/.tsv files are cut down
+// to their first column (pass their `delimiter`); pasted phrases may contain
+// commas.
+function parseBatchLines(text, delimiter = null) {
+    const lines = delimiter ? readFirstColumn(text, delimiter) : text.split(/\r?\n/);
+    return lines
+        .map(line => line.trim())
+        .filter(Boolean)
+        .slice(0, MAX_BATCH_LINES);
+}
+
+// The first field of every record, read with the quoting rules csvField
+// writes: a field in double quotes may hold the delimiter, line breaks and
+// "" for a quote character
+function readFirstColumn(text, delimiter) {
+    const values = [];
+    let first = '';
+    let column = 0;
+    let quoted = false;
+    let fieldStart = true;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                if (column === 0) first += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else if (column === 0) {
+                first += char;
+            }
+        } else if (char === '"' && fieldStart) {
+            quoted = true;
+            fieldStart = false;
+        } else if (char === delimiter) {
+            column++;
+            fieldStart = true;
+        } else if (char === '\n') {
+            values.push(first);
+            first = '';
+            column = 0;
+            fieldStart = true;
+        } else if (char !== '\r') {
+            if (column === 0) first += char;
+            fieldStart = false;
+        }
+    }
+    values.push(first);
+    
+    // A line break inside a quoted word list is just a space here
+    return values.map(value => value.replace(/\s*\n\s*/g, ' '));
+}
+
+async function loadBatchFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    const extension = (file.name.match(/\.(csv|tsv)$/i) || [])[1];
+    const delimiter = extension ? (extension.toLowerCase() === 'tsv' ? '\t' : ',') : null;
+    document.getElementById('batchInput').value = parseBatchLines(await file.text(), delimiter).join('\n');
+}
+
+async function startBatchTranslation() {
+    if (batchState && batchState.running) return;
+    
+    const lines = parseBatchLines(document.getElementById('batchInput').value);
+    if (lines.length === 0) return;
+    
+    const direction = document.getElementById('batchDirection').value;
+    const state = {
+        direction: direction,
+        running: true,
+        done: 0,
+        rows: lines.map(input => ({ input: input, offline: '', online: '', status: 'pending', error: '' }))
+    };
+    batchState = state;
+    renderBatchResults();
+    
+    try {
+        if (!serverConnected) {
+            await checkServerConnection();
+        }
+        
+        for (let start = 0; start < state.rows.length; start += BATCH_SIZE) {
+            const chunk = state.rows.slice(start, start + BATCH_SIZE);
+            await Promise.all(chunk.map(row => fillOfflineMatch(row, direction)));
+            await translateBatchChunk(chunk, direction);
+            
+            // A new batch was started meanwhile; leave it alone
+            if (batchState !== state) return;
+            state.done += chunk.length;
+            renderBatchResults();
+        }
+    } catch (error) {
+        console.error('Batch translation error:', error);
+        state.rows.filter(row => row.status === 'pending').forEach(row => {
+            row.status = 'failed';
+            row.error = error.message;
+        });
+    } finally {
+        // Always let the user start another batch
+        state.running = false;
+        if (batchState === state) {
+            renderBatchResults();
+        }
+    }
+}
+
+// The offline column stays empty if the dictionary can't be asked
+async function fillOfflineMatch(row, direction) {
+    try {
+        if (direction === 'mizo-to-en') {
+            const results = await queryDictionary('reverse', { word: row.input });
+            row.offline = results.slice(0, 3).map(result => result.english).join(', ');
+        } else {
+            const result = await queryDictionary('search', { query: row.input, direction: 'english' });
+            row.offline = result.type === 'word' ? result.definition : '';
+        }
+    } catch (error) {
+        console.warn(`⚠ No offline match for "${row.input}":`, error.message);
+        row.offline = '';
+    }
+}
+
+async function translateBatchChunk(rows, direction) {
+    const remote = TRANSLATION_PROVIDERS.find(provider => provider.id === 'remote');
+    
+    // Words translated recently need no request
+    const missing = rows.filter(row => {
+        const cached = getCachedTranslation(direction, row.input);
+        if (cached && !cached.stale) {
+            row.online = cached.translation;
+            row.status = 'done';
+            return false;
+        }
+        return true;
+    });
+    if (missing.length === 0) return;
+    
+    if (!remote.isAvailable()) {
+        missing.forEach(row => {
+            row.status = 'failed';
+            row.error = 'Server unavailable';
+        });
+        return;
+    }
+    
+    try {
+        const translations = await remote.translateBatch(missing.map(row => row.input), direction);
+        missing.forEach(row => {
+            if (translations.has(row.input)) {
+                row.online = translations.get(row.input);
+                row.status = 'done';
+                cacheTranslation(direction, row.input, row.online);
+            } else {
+                row.status = 'failed';
+                row.error = 'No translation';
+            }
+        });
+    } catch (error) {
+        console.error('Batch translation error:', error);
+        missing.forEach(row => {
+            row.status = 'failed';
+            row.error = error.message;
+        });
+    }
+}
+
+async function retryBatchRow(index) {
+    if (!batchState || !batchState.rows[index]) return;
+    
+    const state = batchState;
+    const row = state.rows[index];
+    row.status = 'pending';
+    renderBatchResults();
+    
+    if (!serverConnected) {
+        await checkServerConnection();
+    }
+    
+    const remote = TRANSLATION_PROVIDERS.find(provider => provider.id === 'remote');
+    try {
+        if (!remote.isAvailable()) {
+            throw new Error('Server unavailable');
+        }
+        row.online = (await remote.translate(row.input, state.direction)).translation;
+        row.status = 'done';
+        row.error = '';
+        cacheTranslation(state.direction, row.input, row.online);
+    } catch (error) {
+        row.status = 'failed';
+        row.error = error.message;
+    }
+    
+    if (batchState === state) {
+        renderBatchResults();
+    }
+}
+
+function renderBatchResults() {
+    const container = document.getElementById('batchResults');
+    if (!container || !batchState) return;
+    
+    const { rows, done, running } = batchState;
+    const percent = Math.round(100 * done / rows.length);
+    const failed = rows.filter(row => row.status === 'failed').length;
+    
+    let html = `
+        <div class="batch-summary">
+            <span>${running ? `Translating… ${done} of ${rows.length}` : `${rows.length} lines • ${failed} failed`}</span>
+            ${running ? '' : '<button class="backup-btn" onclick="exportBatchCsv()"><i class="fas fa-file-csv"></i> Export CSV</button>'}
+        </div>
+        ${running ? `<div class="progress-bar batch-progress"><div class="progress-fill" style="width: ${percent}%;"></div></div>` : ''}
+        <table class="batch-table">
+            <thead>
+                <tr><th>#</th><th>Input</th><th>Offline dictionary</th><th>Online translation</th></tr>
+            </thead>
+            <tbody>
+    `;
+    
+    rows.forEach((row, i) => {
+        let online = escapeHtml(row.online);
+        if (row.status === 'pending') {
+            online = '<span class="batch-pending">…</span>';
+        } else if (row.status === 'failed') {
+            online = `
+                <span class="batch-error">${escapeHtml(row.error)}</span>
+                <button class="batch-retry-btn" onclick="retryBatchRow(${i})"><i class="fas fa-redo"></i> Retry</button>
+            `;
+        }
+        
+        html += `
+            <tr class="${row.status}">
+                <td>${i + 1}</td>
+                <td>${escapeHtml(row.input)}</td>
+                <td>${row.offline ? escapeHtml(truncateDefinition(row.offline, 120)) : '<span class="batch-pending">—</span>'}</td>
+                <td>${online}</td>
+            </tr>
+        `;
+    });
+    
+    container.innerHTML = html + '</tbody></table>';
+}
+
+function exportBatchCsv() {
+    if (!batchState) return;
+    
+    const rows = [['input', 'offline', 'online', 'status']];
+    batchState.rows.forEach(row => {
+        rows.push([row.input, row.offline, row.online, row.status === 'failed' ? row.error : 'ok']);
+    });
+    
+    const csv = '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n');
+    downloadFile(exportFilename(`batch-${batchState.direction}`, 'csv'), csv, 'text/csv');
+}
+
+// ============================================
+// PERSONAL DICTIONARY
+// ============================================
+
+// The engine applies the user's additions, corrections, notes and hidden
+// entries over dictionary.json (see PERSONAL OVERLAY in dictionary-core.js),
+// so `dictionary` and every search already show the merged view. The page
+// keeps the list of edits in overlayEntries for badges and Settings.
+
+const OVERLAY_KIND_LABELS = {
+    added: 'Added by you',
+    edited: 'Edited',
+    hidden: 'Hidden',
+    annotated: 'Your note'
+};
+
+async function loadOverlayEntries() {
+    try {
+        setOverlayEntries(await queryDictionary('overlay'));
+        wotdWords = null;  // in case it was built before the edits were known
+    } catch (error) {
+        console.warn('⚠ Could not load personal dictionary:', error);
+    }
+}
+
+function setOverlayEntries(entries) {
+    overlayEntries = new Map(entries.map(entry => [entry.word, entry]));
+}
+
+function renderOverlayBadge(word) {
+    const entry = overlayEntries.get(word);
+    if (!entry || entry.kind === 'annotated' || entry.kind === 'hidden') return '';
+    return `<span class="edited-badge"><i class="fas fa-pen"></i> ${OVERLAY_KIND_LABELS[entry.kind]}</span>`;
+}
+
+// The user's note, and for corrected entries the text they replaced
+function renderOverlayDetails(word) {
+    const entry = overlayEntries.get(word);
+    if (!entry) return '';
+    
+    let html = '';
+    if (entry.note) {
+        html += `<div class="entry-note"><i class="fas fa-sticky-note"></i> ${escapeHtml(entry.note)}</div>`;
+    }
+    if (entry.kind === 'edited') {
+        html += `
+            <details class="entry-original">
+                <summary>Show the original entry</summary>
+                ${renderEntryBody(parseEntry(word, entry.original))}
+            </details>
+        `;
+    }
+    return html;
+}
+
+// Opens the editor for a headword; words not in the dictionary start empty
+function editEntry(word) {
+    word = normalizeQuery(word);
+    if (!word) return;
+    
+    const entry = overlayEntries.get(word);
+    const original = entry ? entry.original : dictionary[word];
+    const current = dictionary[word] !== undefined ? dictionary[word] : (original || '');
+    
+    if (currentTab !== 'dictionary') {
+        switchTab('dictionary');
+    }
+    
+    const resultsTitle = document.getElementById('resultsTitle');
+    const resultsSubtitle = document.getElementById('resultsSubtitle');
+    if (resultsTitle) {
+        resultsTitle.textContent = original === undefined ? `Add "${word}"` : `Edit "${word}"`;
+    }
+    if (resultsSubtitle) {
+        resultsSubtitle.textContent = 'Your changes stay on this device';
+    }
+    
+    const wordArg = escapeHtml(escapeJsString(word));
+    document.getElementById('dictionaryResults').innerHTML = `
+        <div class="word-card entry-editor">
+            <div class="word-header">
+                <h3 class="word">${escapeHtml(word)}</h3>
+            </div>
+            <label for="entryDefinitionInput">Definition</label>
+            <textarea id="entryDefinitionInput" rows="6"
+                      placeholder="(pronunciation), n. Mizo definition…">${escapeHtml(current)}</textarea>
+            <label for="entryNoteInput">Note (optional)</label>
+            <input type="text" id="entryNoteInput" value="${escapeAttribute(entry ? entry.note : '')}"
+                   placeholder="e.g. the end of this entry belongs to another word">
+            <div class="entry-editor-actions">
+                <button class="study-reveal-btn" onclick="saveEntryEdit('${wordArg}')">Save</button>
+                ${original !== undefined && !(entry && entry.kind === 'hidden') ? `
+                    <button class="quiz-secondary-btn" onclick="saveEntryEdit('${wordArg}', true)">
+                        <i class="fas fa-eye-slash"></i> Hide this entry
+                    </button>
+                ` : ''}
+                ${entry ? `
+                    <button class="quiz-secondary-btn" onclick="revertEntry('${wordArg}')">
+                        <i class="fas fa-undo"></i> ${original === undefined ? 'Delete my entry' : 'Revert to original'}
+                    </button>
+                ` : ''}
+                <button class="quiz-secondary-btn" onclick="closeEntryEditor('${wordArg}')">Cancel</button>
+            </div>
+            <div class="settings-status" id="entryEditorStatus"></div>
+        </div>
+    `;
+    document.getElementById('entryDefinitionInput').focus();
+}
+
+async function saveEntryEdit(word, hidden = false) {
+    const definition = document.getElementById('entryDefinitionInput').value;
+    const note = document.getElementById('entryNoteInput').value;
+    
+    try {
+        applyEntryEdit(await queryDictionary('editEntry', { word: word, definition: definition, note: note, hidden: hidden }));
+    } catch (error) {
+        const status = document.getElementById('entryEditorStatus');
+        if (status) {
+            status.textContent = `⚠ ${error.message}`;
+        }
+    }
+}
+
+async function revertEntry(word) {
+    try {
+        applyEntryEdit(await queryDictionary('editEntry', { word: word }));
+    } catch (error) {
+        showError(`Could not revert "${word}". ${error.message}`);
+    }
+}
+
+// Mirrors an edit into the page's copy of the dictionary and shows the result
+function applyEntryEdit(result) {
+    if (result.definition === null) {
+        delete dictionary[result.word];
+    } else {
+        dictionary[result.word] = result.definition;
+    }
+    setOverlayEntries(result.entries);
+    
+    // The A–Z list follows the user's edits; Word of the Day picks from the
+    // shipped headwords and needs no rebuild
+    indexWords = null;
+    
+    console.log(`✓ Saved personal edit for "${result.word}"`);
+    if (currentTab === 'settings') {
+        displaySettings();
+    } else {
+        closeEntryEditor(result.word);
+    }
+}
+
+function closeEntryEditor(word) {
+    if (dictionary[word] !== undefined) {
+        openDictionaryEntry(word);
+        return;
+    }
+    
+    const entry = overlayEntries.get(word);
+    const resultsContainer = document.getElementById('dictionaryResults');
+    clearResults();
+    if (entry && entry.kind === 'hidden') {
+        resultsContainer.innerHTML = `
+            <p class="result-note">
+                "${escapeHtml(word)}" is hidden from your dictionary.
+                <a href="#" onclick="revertEntry('${escapeHtml(escapeJsString(word))}'); return false;">Undo</a>
+            </p>
+        `;
+    }
+}
+
+function renderOverlaySettings() {
+    const entries = [...overlayEntries.values()];
+    
+    let list = '<p class="settings-status">No personal edits yet. Use the <i class="fas fa-pen"></i> button on any entry.</p>';
+    if (entries.length > 0) {
+        list = '<div class="overlay-list">' + entries.map(entry => {
+            const wordArg = escapeHtml(escapeJsString(entry.word));
+            return `
+                <div class="overlay-row">
+                    <a class="overlay-word" onclick="editEntry('${wordArg}')">${escapeHtml(entry.word)}</a>
+                    <span class="overlay-kind ${entry.kind}">${OVERLAY_KIND_LABELS[entry.kind]}</span>
+                    <span class="overlay-note">${escapeHtml(entry.note)}</span>
+                    <button class="quiz-secondary-btn" onclick="revertEntry('${wordArg}')">
+                        ${entry.kind === 'added' ? 'Delete' : 'Revert'}
+                    </button>
+                </div>
+            `;
+        }).join('') + '</div>';
+    }
+    
+    return `
+        <div class="settings-section">
+            <h3>Personal dictionary</h3>
+            <p class="settings-help">
+                Add missing words, correct or annotate entries, and hide broken ones. Changes are kept on
+                this device and used everywhere offline; export them as a patch to send to the maintainers.
+            </p>
+            <div class="settings-row">
+                <input type="text" id="newEntryInput" placeholder="New or existing headword"
+                       onkeydown="if (event.key === 'Enter') editEntry(this.value)">
+                <button class="study-reveal-btn" onclick="editEntry(document.getElementById('newEntryInput').value)">Add or edit</button>
+                <button class="quiz-secondary-btn" onclick="exportOverlayPatch()" ${entries.length === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-file-export"></i> Export patch
+                </button>
+            </div>
+            ${list}
+        </div>
+    `;
+}
+
+// JSON in the same shape as the dictionary deltas, for maintainers to review
+async function exportOverlayPatch() {
+    try {
+        const patch = await queryDictionary('overlayPatch');
+        downloadFile(exportFilename('dictionary-patch', 'json'), JSON.stringify(patch, null, 2), 'application/json');
+    } catch (error) {
+        console.error('Patch export failed:', error);
+    }
+}
+
+// ============================================
+// CLOUD SYNC
+// ============================================
+
+// Optional sync of favorites, recent searches, Word of the Day history and
+// study progress. localStorage stays the source of truth: every write lands
+// there first and sync catches up in the background, so nothing waits on
+// the network.
+//
+// Each collection is split into items ("favorites/<id>", "studyCards/<id>"…).
+// The ledger in localStorage ('syncLedger') holds a hash and updatedAt per
+// item; comparing it with localStorage finds local changes, and a remote item
+// replaces the local one only if its updatedAt is later (last writer wins).
+//
+// read() returns { id: value } for everything stored locally; apply(changes)
+// stores [{ id, value }] from another device, value null meaning deleted.
+const SYNC_COLLECTIONS = {
+    favorites: {
+        read: () => Object.fromEntries(favorites),
+        apply(changes) {
+            changes.forEach(({ id, value }) => value ? favorites.set(id, value) : favorites.delete(id));
+            saveUserData();
+        }
+    },
+    recentSearches: {
+        read: () => Object.fromEntries(recentSearches.map((word, position) => [word, { word: word, position: position }])),
+        apply(changes, ledger) {
+            const positions = new Map(recentSearches.map((word, position) => [word, position]));
+            changes.forEach(({ id, value }) => value ? positions.set(id, value.position) : positions.delete(id));
+            
+            // Most recently changed first, then by position; every device
+            // sorts the same items into the same order
+            const updatedAt = (word) => (ledger.items[`recentSearches/${word}`] || {}).updatedAt || 0;
+            recentSearches = [...positions.keys()]
+                .sort((a, b) => updatedAt(b) - updatedAt(a) || positions.get(a) - positions.get(b) || a.localeCompare(b))
+                .slice(0, MAX_RECENT_SEARCHES);
+            saveUserData();
+        }
+    },
+    wotdHistory: {
+        read: () => Object.fromEntries(JSON.parse(localStorage.getItem('wotdHistory') || '[]').map(item => [item.date, item])),
+        apply(changes) {
+            const history = new Map(JSON.parse(localStorage.getItem('wotdHistory') || '[]').map(item => [item.date, item]));
+            changes.forEach(({ id, value }) => value ? history.set(id, value) : history.delete(id));
+            const sorted = [...history.values()].sort((a, b) => b.date.localeCompare(a.date));
+            localStorage.setItem('wotdHistory', JSON.stringify(sorted.slice(0, WOTD_HISTORY_LIMIT)));
+        }
+    },
+    studyCards: {
+        read: () => loadStudyCards(),
+        apply(changes) {
+            const cards = loadStudyCards();
+            changes.forEach(({ id, value }) => {
+                if (value) {
+                    cards[id] = value;
+                } else {
+                    delete cards[id];
+                }
+            });
+            saveStudyCards(cards);
+        }
+    },
+    studyStreak: {
+        read: () => {
+            const saved = localStorage.getItem('studyStreak');
+            return saved ? { current: JSON.parse(saved) } : {};
+        },
+        apply(changes) {
+            changes.forEach(({ value }) => {
+                if (value) {
+                    localStorage.setItem('studyStreak', JSON.stringify(value));
+                } else {
+                    localStorage.removeItem('studyStreak');
+                }
+            });
+        }
+    }
+};
+
+// ?sync=memory uses an in-page stand-in and ?sync=emulator the local Firebase
+// emulators; otherwise Firebase itself once FIREBASE_CONFIG is filled in.
+// null when sync is not available.
+function getSyncAdapter() {
+    if (syncState.adapter === undefined) {
+        const mode = new URLSearchParams(location.search).get('sync');
+        if (mode === 'memory') {
+            syncState.adapter = createMemorySyncAdapter();
+        } else if (mode === 'emulator') {
+            // demo-* projects need no real configuration under the emulators
+            syncState.adapter = createFirestoreSyncAdapter(
+                { apiKey: 'demo-key', projectId: 'demo-thumal', authDomain: 'localhost' },
+                location.hostname || 'localhost'
+            );
+        } else {
+            syncState.adapter = FIREBASE_CONFIG ? createFirestoreSyncAdapter(FIREBASE_CONFIG, null) : null;
+        }
+    }
+    return syncState.adapter;
+}
+
+async function initializeSync() {
+    window.addEventListener('online', () => scheduleSync(0));
+    
+    const adapter = getSyncAdapter();
+    if (!adapter || !localStorage.getItem('syncEnabled')) {
+        updateSyncIndicator();
+        return;
+    }
+    
+    try {
+        const user = await adapter.restore();
+        if (user) {
+            startSyncSession(adapter, user);
+        } else {
+            localStorage.removeItem('syncEnabled');
+        }
+    } catch (error) {
+        console.warn('⚠ Cloud sync unavailable:', error);
+        setSyncStatus('error', error.message);
+    }
+}
+
+async function signInToSync() {
+    const adapter = getSyncAdapter();
+    if (!adapter) return;
+    
+    try {
+        startSyncSession(adapter, await adapter.signIn());
+        localStorage.setItem('syncEnabled', '1');
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        setSyncStatus('error', error.message);
+    }
+    displaySettings();
+}
+
+async function signOutOfSync() {
+    const session = syncSession;
+    syncSession = null;
+    clearTimeout(syncState.timer);
+    localStorage.removeItem('syncEnabled');
+    localStorage.removeItem('syncLedger');
+    
+    try {
+        await session.adapter.signOut();
+    } catch (error) {
+        console.warn('⚠ Sign-out failed:', error);
+    }
+    setSyncStatus('off');
+    displaySettings();
+}
+
+function startSyncSession(adapter, user) {
+    syncSession = { adapter: adapter, user: user };
+    
+    // A new account (or the first sign-in) starts a new ledger. Data already
+    // on this device counts as oldest, so the account's copy of any item wins
+    // and everything else is uploaded.
+    if (loadSyncLedger().uid !== user.uid) {
+        saveSyncLedger({ uid: user.uid, cursor: 0, items: {}, pending: [] });
+        recordLocalChanges(0);
+    }
+    
+    console.log(`✓ Cloud sync signed in as ${user.name}`);
+    scheduleSync(0);
+}
+
+function loadSyncLedger() {
+    return JSON.parse(localStorage.getItem('syncLedger') || '{"uid":null,"cursor":0,"items":{},"pending":[]}');
+}
+
+function saveSyncLedger(ledger) {
+    localStorage.setItem('syncLedger', JSON.stringify(ledger));
+}
+
+// Called after every write to synced data
+function noteLocalChange() {
+    if (syncSession && !syncState.applying) {
+        scheduleSync(SYNC_DEBOUNCE);
+    }
+}
+
+function scheduleSync(delay) {
+    if (!syncSession) return;
+    clearTimeout(syncState.timer);
+    syncState.timer = setTimeout(syncNow, delay);
+}
+
+function readLocalSyncItems() {
+    const items = {};
+    Object.entries(SYNC_COLLECTIONS).forEach(([name, collection]) => {
+        Object.entries(collection.read()).forEach(([id, value]) => {
+            items[`${name}/${id}`] = value;
+        });
     });
-    
-    resultsContainer.innerHTML = html;
+    return items;
 }
 
-function displayOnlineResult(query, translation, direction, cached) {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    const resultsTitle = document.getElementById('resultsTitle');
-    const resultsSubtitle = document.getElementById('resultsSubtitle');
+// Compares localStorage with the ledger and stamps whatever changed since
+// the last sync; items the ledger has never seen get firstSeenAt
+function recordLocalChanges(firstSeenAt = Date.now()) {
+    const ledger = loadSyncLedger();
+    const items = readLocalSyncItems();
+    const now = Date.now();
+    const pending = new Set(ledger.pending);
     
-    if (resultsTitle) {
-        resultsTitle.textContent = `Result for "${query}"`;
-    }
+    Object.entries(items).forEach(([key, value]) => {
+        const hash = hashString(JSON.stringify(value));
+        const known = ledger.items[key];
+        if (!known || known.deleted || known.hash !== hash) {
+            ledger.items[key] = { hash: hash, updatedAt: known ? now : firstSeenAt };
+            pending.add(key);
+        }
+    });
     
-    if (resultsSubtitle) {
-        resultsSubtitle.textContent = direction === 'mizo-to-en' ? 'Mizo → English' : 'English → Mizo';
-    }
+    Object.entries(ledger.items).forEach(([key, known]) => {
+        if (!known.deleted && !(key in items)) {
+            ledger.items[key] = { deleted: true, updatedAt: now };
+            pending.add(key);
+        }
+    });
     
-    const favoriteKey = `${query}:${translation}`;
-    const isFavorite = favorites.has(favoriteKey);
+    ledger.pending = [...pending];
+    saveSyncLedger(ledger);
+    return ledger;
+}
+
+// Pull what other devices changed, keep the newer side of each item, then
+// push what is still newer here
+async function syncNow() {
+    if (!syncSession) return;
+    if (syncState.running) {
+        syncState.again = true;
+        return;
+    }
     
-    const badge = cached 
-        ? '<span class="cached-badge">💾 Cached</span>'
-        : '<span class="online-badge">🌐 Translate</span>';
+    const { adapter, user } = syncSession;
+    syncState.running = true;
+    clearTimeout(syncState.timer);
     
-    resultsContainer.innerHTML = `
-        <div class="word-card">
-            <div class="word-header">
-                <h3 class="word">${escapeHtml(query)}</h3>
-                <button class="favorite-star ${isFavorite ? 'active' : ''}" 
-                        onclick="toggleFavorite('${escapeHtml(query)}', '${escapeHtml(translation)}')">
-                    <i class="fas fa-star"></i>
-                </button>
-            </div>
-            <div class="definition">${escapeHtml(translation)}</div>
-            <div style="margin-top: 10px;">${badge}</div>
-        </div>
-    `;
+    try {
+        const ledger = recordLocalChanges();
+        if (!navigator.onLine) {
+            setSyncStatus('pending');
+            return;
+        }
+        setSyncStatus('syncing');
+        
+        const pulled = await adapter.pull(user.uid, ledger.cursor);
+        
+        // The user may have changed things while the pull was in flight:
+        // stamp those first, so an older remote item can't overwrite them
+        const current = recordLocalChanges();
+        applyRemoteItems(pulled.items, current);
+        saveSyncLedger(current);
+        
+        // Merging can change more than it received (recent searches get
+        // new positions), so look for local changes once more
+        const merged = recordLocalChanges();
+        const local = readLocalSyncItems();
+        const outgoing = merged.pending.map(key => ({
+            key: key,
+            value: merged.items[key].deleted ? null : local[key],
+            deleted: Boolean(merged.items[key].deleted),
+            updatedAt: merged.items[key].updatedAt
+        }));
+        await adapter.push(user.uid, outgoing);
+        
+        merged.pending = [];
+        merged.cursor = pulled.cursor;
+        saveSyncLedger(merged);
+        
+        syncState.lastSynced = new Date();
+        setSyncStatus('synced');
+        console.log(`✓ Synced: ${pulled.items.length} in, ${outgoing.length} out`);
+    } catch (error) {
+        console.warn('⚠ Sync failed:', error);
+        setSyncStatus('error', error.message);
+    } finally {
+        syncState.running = false;
+        if (syncState.again) {
+            syncState.again = false;
+            scheduleSync(0);
+        } else {
+            scheduleSync(SYNC_INTERVAL);
+        }
+    }
 }
 
-function displayNoResult(query) {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    const resultsTitle = document.getElementById('resultsTitle');
-    const resultsSubtitle = document.getElementById('resultsSubtitle');
+// Remote items newer than the ledger's copy replace the local ones. On a
+// tie (both sides from before sign-in) the account's copy wins too.
+function applyRemoteItems(remoteItems, ledger) {
+    const changes = {};
+    const pending = new Set(ledger.pending);
     
-    if (resultsTitle) {
-        resultsTitle.textContent = 'No results found';
-    }
+    remoteItems.forEach(item => {
+        const known = ledger.items[item.key];
+        const name = item.key.slice(0, item.key.indexOf('/'));
+        const entry = item.deleted
+            ? { deleted: true, updatedAt: item.updatedAt }
+            : { hash: hashString(JSON.stringify(item.value)), updatedAt: item.updatedAt };
+        
+        if (!SYNC_COLLECTIONS[name] || (known && known.updatedAt > item.updatedAt)) return;
+        if (known && known.updatedAt === item.updatedAt && Boolean(known.deleted) === Boolean(entry.deleted) &&
+            known.hash === entry.hash) return;
+        
+        ledger.items[item.key] = entry;
+        pending.delete(item.key);
+        
+        (changes[name] = changes[name] || []).push({
+            id: item.key.slice(name.length + 1),
+            value: item.deleted ? null : item.value
+        });
+    });
     
-    if (resultsSubtitle) {
-        resultsSubtitle.textContent = `No match for "${query}"`;
+    ledger.pending = [...pending];
+    if (Object.keys(changes).length === 0) return;
+    
+    syncState.applying = true;
+    try {
+        Object.entries(changes).forEach(([name, list]) => SYNC_COLLECTIONS[name].apply(list, ledger));
+    } finally {
+        syncState.applying = false;
     }
     
-    resultsContainer.innerHTML = `
-        <div class="empty-state">
-            <i class="fas fa-search"></i>
-            <h3>Word not found</h3>
-            <p>No translation found for "<strong>${escapeHtml(query)}</strong>"</p>
-            <p>Try searching for a different word or check the spelling</p>
-        </div>
-    `;
+    updateSidebar();
+    if (currentTab === 'favorites') {
+        displayFavorites();
+    }
 }
 
-function showLoadingState(message) {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    if (resultsContainer) {
-        resultsContainer.innerHTML = `
-            <div class="empty-state">
-                <div class="spinner"></div>
-                <p>${escapeHtml(message)}</p>
-            </div>
-        `;
-    }
+function setSyncStatus(status, error = '') {
+    syncState.status = status;
+    syncState.error = error;
+    updateSyncIndicator();
 }
 
-function showError(message) {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    if (resultsContainer) {
-        resultsContainer.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-exclamation-circle"></i>
-                <h3>Error</h3>
-                <p>${escapeHtml(message)}</p>
-            </div>
-        `;
+function updateSyncIndicator() {
+    const indicator = document.getElementById('syncIndicator');
+    if (!indicator) return;
+    
+    if (!syncSession && syncState.status !== 'error') {
+        indicator.style.display = 'none';
+        return;
     }
+    indicator.style.display = 'flex';
+    indicator.className = `sync-indicator ${syncState.status}`;
+    
+    const waiting = loadSyncLedger().pending.length;
+    const labels = {
+        syncing: '<i class="fas fa-sync-alt fa-spin"></i> Syncing…',
+        synced: '<i class="fas fa-cloud"></i> Synced',
+        pending: `<i class="fas fa-cloud-upload-alt"></i> ${waiting} change${waiting === 1 ? '' : 's'} waiting`,
+        error: '<i class="fas fa-exclamation-triangle"></i> Sync failed'
+    };
+    indicator.innerHTML = labels[syncState.status] || labels.synced;
+    indicator.title = syncState.status === 'error'
+        ? syncState.error
+        : syncState.lastSynced ? `Last synced ${syncState.lastSynced.toLocaleTimeString()}` : 'Cloud sync';
 }
 
-function clearResults() {
-    const resultsContainer = document.getElementById('dictionaryResults');
-    const resultsTitle = document.getElementById('resultsTitle');
-    const resultsSubtitle = document.getElementById('resultsSubtitle');
+// Nothing to show unless a backend is configured (see getSyncAdapter)
+function renderSyncSettings() {
+    const adapter = getSyncAdapter();
+    if (!adapter) return '';
     
-    if (resultsContainer) {
-        resultsContainer.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-search"></i>
-                <h3>Search the Dictionary</h3>
-                <p>Enter a word in the search bar above to find its translation</p>
+    let body;
+    if (syncSession) {
+        body = `
+            <div class="settings-row">
+                <button class="study-reveal-btn" onclick="syncNow().then(displaySettings)"><i class="fas fa-sync-alt"></i> Sync now</button>
+                <button class="quiz-secondary-btn" onclick="signOutOfSync()">Sign out</button>
+            </div>
+            <div class="settings-status">
+                Signed in as ${escapeHtml(syncSession.user.name)} (${escapeHtml(adapter.label)})
+                ${syncState.lastSynced ? ` • last synced ${syncState.lastSynced.toLocaleTimeString()}` : ''}
+                ${syncState.status === 'error' ? ` • ⚠ ${escapeHtml(syncState.error)}` : ''}
             </div>
         `;
+    } else {
+        body = `
+            <div class="settings-row">
+                <button class="study-reveal-btn" onclick="signInToSync()"><i class="fab fa-google"></i> Sign in with Google</button>
+            </div>
+            ${syncState.status === 'error' ? `<div class="settings-status">⚠ ${escapeHtml(syncState.error)}</div>` : ''}
+        `;
     }
     
-    if (resultsTitle) {
-        resultsTitle.textContent = 'Dictionary Results';
-    }
-    
-    if (resultsSubtitle) {
-        resultsSubtitle.textContent = 'Type a word to begin your search';
-    }
+    return `
+        <div class="settings-section">
+            <h3>Cloud sync</h3>
+            <p class="settings-help">
+                Sign in to keep favorites, recent searches, Word of the Day history and study progress
+                the same on all your devices. Everything still works offline; changes are sent when the
+                connection is back, and the most recent edit of each item wins.
+            </p>
+            ${body}
+        </div>
+    `;
 }
 
 // ============================================
-// FAVORITES & RECENT SEARCHES
-// (Your original code - keeping intact)
+// SYNC ADAPTERS
 // ============================================
 
-function loadUserData() {
-    try {
-        const savedFavorites = localStorage.getItem('favorites');
-        if (savedFavorites) {
-            favorites = new Set(JSON.parse(savedFavorites));
-        }
-        
-        const savedSearches = localStorage.getItem('recentSearches');
-        if (savedSearches) {
-            recentSearches = JSON.parse(savedSearches);
-        }
-    } catch (error) {
-        console.error('Error loading user data:', error);
-    }
-}
+// Cloud sync talks to its backend only through an adapter:
+//   label                    shown in Settings
+//   restore()                → user or null, from an earlier session
+//   signIn() / signOut()     user is { uid, name }
+//   pull(uid, cursor)        → { items, cursor }: items synced since `cursor`
+//                            (repeats are harmless), and the cursor to pass next time
+//   push(uid, items)         stores items, replacing any with the same key
+// Items look like { key, value, deleted, updatedAt }.
 
-function saveUserData() {
-    try {
-        localStorage.setItem('favorites', JSON.stringify([...favorites]));
-        localStorage.setItem('recentSearches', JSON.stringify(recentSearches));
-    } catch (error) {
-        console.error('Error saving user data:', error);
-    }
+// Keeps everything in this page; for trying sync out without a backend
+function createMemorySyncAdapter() {
+    const stored = new Map();
+    let user = null;
+    let clock = 0;
+    
+    return {
+        label: 'in-memory test backend',
+        async restore() {
+            return user;
+        },
+        async signIn() {
+            user = { uid: 'memory-user', name: 'Test user' };
+            return user;
+        },
+        async signOut() {
+            user = null;
+        },
+        async pull(uid, cursor) {
+            const items = [...stored.values()].filter(item => item.uid === uid && item.syncedAt > cursor);
+            return {
+                items: items.map(({ uid, syncedAt, ...item }) => item),
+                cursor: Math.max(cursor, ...items.map(item => item.syncedAt))
+            };
+        },
+        async push(uid, items) {
+            items.forEach(item => stored.set(`${uid}/${item.key}`, { ...item, uid: uid, syncedAt: ++clock }));
+        }
+    };
 }
 
-function toggleFavorite(word, definition) {
-    const key = `${word}:${definition}`;
+// Firebase Auth (Google sign-in) and Firestore, loaded from the CDN on first
+// use. Items are documents in users/{uid}/syncItems, so security rules only
+// need to let each user read and write their own path. With emulatorHost the
+// local Auth (9099) and Firestore (8080) emulators are used instead.
+function createFirestoreSyncAdapter(config, emulatorHost) {
+    let sdk = null;
     
-    if (favorites.has(key)) {
-        favorites.delete(key);
-    } else {
-        if (favorites.size >= MAX_FAVORITES) {
-            const firstKey = favorites.values().next().value;
-            favorites.delete(firstKey);
+    async function connect() {
+        if (sdk) return sdk;
+        
+        const [app, auth, firestore] = await Promise.all([
+            import(`${FIREBASE_SDK_URL}/firebase-app.js`),
+            import(`${FIREBASE_SDK_URL}/firebase-auth.js`),
+            import(`${FIREBASE_SDK_URL}/firebase-firestore.js`)
+        ]);
+        
+        const firebaseApp = app.initializeApp(config);
+        const connection = {
+            auth: auth,
+            firestore: firestore,
+            authInstance: auth.getAuth(firebaseApp),
+            db: firestore.getFirestore(firebaseApp)
+        };
+        if (emulatorHost) {
+            auth.connectAuthEmulator(connection.authInstance, `http://${emulatorHost}:9099`);
+            firestore.connectFirestoreEmulator(connection.db, emulatorHost, 8080);
         }
-        favorites.add(key);
+        sdk = connection;
+        return sdk;
     }
     
-    saveUserData();
-    updateStats();
-    updateSidebar();
+    const describeUser = (user) => user ? { uid: user.uid, name: user.displayName || user.email || 'Firebase user' } : null;
     
-    // Update current view if in favorites tab
-    if (document.getElementById('favoritesView').classList.contains('active')) {
-        displayFavorites();
-    }
+    return {
+        label: emulatorHost ? 'Firebase emulator' : 'Firebase',
+        async restore() {
+            const { authInstance } = await connect();
+            await authInstance.authStateReady();
+            return describeUser(authInstance.currentUser);
+        },
+        async signIn() {
+            const { auth, authInstance } = await connect();
+            const result = await auth.signInWithPopup(authInstance, new auth.GoogleAuthProvider());
+            return describeUser(result.user);
+        },
+        async signOut() {
+            const { auth, authInstance } = await connect();
+            await auth.signOut(authInstance);
+        },
+        async pull(uid, cursor) {
+            const { firestore, db } = await connect();
+            const { collection, query, where, orderBy, getDocs, Timestamp } = firestore;
+            
+            // >= because the cursor is in milliseconds and server times are finer
+            const snapshot = await getDocs(query(
+                collection(db, 'users', uid, 'syncItems'),
+                where('syncedAt', '>=', Timestamp.fromMillis(cursor)),
+                orderBy('syncedAt')
+            ));
+            
+            let next = cursor;
+            const items = snapshot.docs.map(doc => {
+                const data = doc.data();
+                next = Math.max(next, data.syncedAt.toMillis());
+                return {
+                    key: data.key,
+                    value: data.value === null ? null : JSON.parse(data.value),
+                    deleted: data.deleted,
+                    updatedAt: data.updatedAt
+                };
+            });
+            return { items: items, cursor: next };
+        },
+        async push(uid, items) {
+            const { firestore, db } = await connect();
+            const { writeBatch, doc, serverTimestamp } = firestore;
+            
+            // Firestore takes at most 500 writes per batch
+            for (let start = 0; start < items.length; start += 500) {
+                const batch = writeBatch(db);
+                items.slice(start, start + 500).forEach(item => {
+                    batch.set(doc(db, 'users', uid, 'syncItems', encodeURIComponent(item.key)), {
+                        key: item.key,
+                        // As JSON: Firestore can't hold nested arrays or undefined
+                        value: item.value === null ? null : JSON.stringify(item.value),
+                        deleted: item.deleted,
+                        updatedAt: item.updatedAt,
+                        syncedAt: serverTimestamp()
+                    });
+                });
+                await batch.commit();
+            }
+        }
+    };
 }
 
-function addToRecentSearches(word) {
-    recentSearches = recentSearches.filter(w => w !== word);
-    recentSearches.unshift(word);
+// ============================================
+// SETTINGS
+// ============================================
+
+function displaySettings() {
+    const container = document.getElementById('settingsContent');
+    if (!container) return;
     
-    if (recentSearches.length > MAX_RECENT_SEARCHES) {
-        recentSearches = recentSearches.slice(0, MAX_RECENT_SEARCHES);
-    }
+    const saved = localStorage.getItem('serverUrl') || '';
+    const fromQuery = normalizeServerUrl(new URLSearchParams(location.search).get('server'));
     
-    saveUserData();
-    updateSidebar();
+    container.innerHTML = `
+        <div class="settings-section">
+            <h3>Translation server</h3>
+            <p class="settings-help">
+                Online mode sends words to this server first. If it cannot be reached, the offline
+                dictionary answers instead. Point it at a local server for testing, e.g.
+                <code>http://localhost:5000/api</code>.
+            </p>
+            ${fromQuery ? `
+                <div class="result-note">
+                    This page was opened with <code>?server=</code>, so <strong>${escapeHtml(fromQuery)}</strong>
+                    is used until you open the app without it.
+                </div>
+            ` : ''}
+            <div class="settings-row">
+                <input type="url" id="serverUrlInput" placeholder="${escapeAttribute(DEFAULT_API_URL)}"
+                       value="${escapeAttribute(saved)}">
+                <button class="study-reveal-btn" onclick="saveServerUrl()">Save</button>
+                <button class="quiz-secondary-btn" onclick="resetServerUrl()">Use default</button>
+            </div>
+            <div class="settings-status" id="serverUrlStatus">
+                In use: <code>${escapeHtml(getApiUrl())}</code> • ${serverConnected ? '✓ connected' : '⚠ not reachable'}
+            </div>
+        </div>
+        ${renderTranslationCacheSettings()}
+        ${renderOverlaySettings()}
+        ${renderSyncSettings()}
+    `;
 }
 
-function displayFavorites() {
-    const favoritesContainer = document.getElementById('favoritesList');
-    if (!favoritesContainer) return;
+function renderTranslationCacheSettings() {
+    const settings = loadCacheSettings();
+    const records = [...TRANSLATION_CACHE.values()];
+    const stale = records.filter(isTranslationStale).length;
     
-    if (favorites.size === 0) {
-        favoritesContainer.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-star"></i>
-                <h3>No favorites yet</h3>
-                <p>Click the star icon on any word to add it to your favorites</p>
+    return `
+        <div class="settings-section">
+            <h3>Saved translations</h3>
+            <p class="settings-help">
+                Online translations are kept on this device. Older ones are fetched again when the server
+                is reachable, and still shown (marked stale) when it is not. The least recently used are
+                dropped once the limit is reached.
+            </p>
+            <div class="settings-row">
+                <label>Keep for <input type="number" id="cacheTtlInput" min="1" max="365" value="${settings.ttlDays}"> days</label>
+                <label>Up to <input type="number" id="cacheMaxInput" min="10" max="100000" value="${settings.maxEntries}"> words</label>
+                <button class="study-reveal-btn" onclick="saveCacheSettings()">Save</button>
             </div>
-        `;
+            <div class="settings-status">
+                ${records.length} saved translation${records.length === 1 ? '' : 's'}${stale ? ` • ${stale} stale` : ''}
+            </div>
+            <div class="settings-row" style="margin-top: 10px;">
+                <button class="quiz-secondary-btn" onclick="clearTranslationCache(false)">Clear saved translations</button>
+                <button class="quiz-secondary-btn" onclick="clearTranslationCache(true)">Clear here and on the server</button>
+            </div>
+            <div class="settings-status" id="cacheStatus"></div>
+        </div>
+    `;
+}
+
+async function saveServerUrl() {
+    const input = document.getElementById('serverUrlInput');
+    const value = input.value.trim();
+    
+    if (!value) {
+        resetServerUrl();
         return;
     }
     
-    let html = '';
-    [...favorites].forEach(fav => {
-        const [word, definition] = fav.split(':');
-        html += `
-            <div class="word-card">
-                <div class="word-header">
-                    <h3 class="word">${escapeHtml(word)}</h3>
-                    <button class="favorite-star active" 
-                            onclick="toggleFavorite('${escapeHtml(word)}', '${escapeHtml(definition)}')">
-                        <i class="fas fa-star"></i>
-                    </button>
-                </div>
-                <div class="definition">${escapeHtml(truncateDefinition(definition, 100))}</div>
-            </div>
-        `;
-    });
+    const url = normalizeServerUrl(value);
+    if (!url) {
+        document.getElementById('serverUrlStatus').textContent = '⚠ Enter a full http:// or https:// address';
+        return;
+    }
     
-    favoritesContainer.innerHTML = html;
+    localStorage.setItem('serverUrl', url);
+    await testServerConnection();
+}
+
+async function resetServerUrl() {
+    localStorage.removeItem('serverUrl');
+    await testServerConnection();
+}
+
+async function testServerConnection() {
+    const status = document.getElementById('serverUrlStatus');
+    if (status) {
+        status.textContent = `Checking ${getApiUrl()}…`;
+    }
+    
+    await checkServerConnection();
+    displaySettings();
 }
 
 // ============================================
 // WORD OF THE DAY (Your original code)
 // ============================================
 
-function initializeWordOfTheDay() {
-    const today = new Date().toDateString();
-    let wotd = localStorage.getItem('currentWotd');
-    let wotdDate = localStorage.getItem('wotdDate');
+// Words that make a good Word of the Day: plain single words (no numbered
+// variants like "a-1", no affixes like "-ness") with a real definition.
+// Sorted so every browser builds the same list from the same data, which
+// means the shipped dictionary: the user's own additions, corrections and
+// hidden entries (see PERSONAL DICTIONARY) must not shift the list.
+function getWotdWords() {
+    if (!wotdWords) {
+        const shipped = { ...dictionary };
+        overlayEntries.forEach(entry => {
+            if (entry.original === undefined) {
+                delete shipped[entry.word];
+            } else {
+                shipped[entry.word] = entry.original;
+            }
+        });
+        
+        wotdWords = Object.keys(shipped)
+            .filter(word =>
+                /^[a-z]+$/.test(word) &&
+                word.length >= WOTD_MIN_WORD_LENGTH &&
+                shipped[word].trim().length >= WOTD_MIN_DEFINITION_LENGTH
+            )
+            .sort();
+    }
+    return wotdWords;
+}
+
+// FNV-1a, so the same date always lands on the same word for everyone
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// dateKey is YYYY-MM-DD; any past (or future) date can be recomputed
+// Shown with the user's version of the entry; a word they hid gives way to
+// the next one in the list
+function getWordOfTheDay(dateKey) {
+    const words = getWotdWords();
+    if (words.length === 0) return null;
     
-    if (!wotd || wotdDate !== today) {
-        const words = Object.keys(dictionary);
-        const randomWord = words[Math.floor(Math.random() * words.length)];
-        wotd = randomWord;
-        localStorage.setItem('currentWotd', wotd);
-        localStorage.setItem('wotdDate', today);
-        addToWotdHistory(randomWord);
+    const start = hashString(`thumal:${dateKey}`) % words.length;
+    for (let i = 0; i < words.length; i++) {
+        const word = words[(start + i) % words.length];
+        if (dictionary[word] !== undefined) return word;
     }
+    return null;
+}
+
+function initializeWordOfTheDay() {
+    const today = localDateKey();
+    const wotd = getWordOfTheDay(today);
+    if (!wotd) return;
     
+    addToWotdHistory(today, wotd);
     updateWotdDisplay(wotd);
 }
 
-function addToWotdHistory(word) {
+// Days the user actually opened the app, marked in the calendar
+function addToWotdHistory(date, word) {
     let history = JSON.parse(localStorage.getItem('wotdHistory') || '[]');
-    const today = new Date().toISOString().split('T')[0];
-    history = history.filter(item => item.date !== today);
+    if (history.some(item => item.date === date && item.word === word)) return;
+    
+    history = history.filter(item => item.date !== date);
     history.unshift({
-        date: today,
+        date: date,
         word: word,
         definition: dictionary[word]
     });
-    history = history.slice(0, 7);
+    history = history.slice(0, WOTD_HISTORY_LIMIT);
     localStorage.setItem('wotdHistory', JSON.stringify(history));
+    noteLocalChange();
 }
 
 function updateWotdDisplay(word) {
@@ -789,33 +4326,102 @@ function updateWotdDisplay(word) {
     }
 }
 
-function displayWotdView(word, definition) {
-    const history = JSON.parse(localStorage.getItem('wotdHistory') || '[]');
-    let html = `
+function displayWotdView(dateKey) {
+    const container = document.getElementById('wotdContent');
+    if (!container) return;
+    
+    const today = localDateKey();
+    wotdSelectedDate = !isValidDateKey(dateKey || '') || dateKey > today ? today : dateKey;
+    if (!wotdCalendarMonth) {
+        const [year, month] = wotdSelectedDate.split('-').map(Number);
+        wotdCalendarMonth = { year: year, month: month - 1 };
+    }
+    
+    const word = getWordOfTheDay(wotdSelectedDate);
+    if (!word) {
+        container.innerHTML = '<div class="empty-state"><p>The dictionary is still loading…</p></div>';
+        return;
+    }
+    
+    const dateLabel = new Date(`${wotdSelectedDate}T00:00:00`).toLocaleDateString(undefined, {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+    
+    container.innerHTML = `
         <div class="word-card">
             <div class="word-header">
                 <h3 class="word">${escapeHtml(word)}</h3>
+                <div class="word-actions">
+                    ${renderCopyLinkButton(`#/wotd/${wotdSelectedDate}`)}
+                    ${renderFavoriteStar(word, dictionary[word], 'offline', 'en-to-mizo')}
+                </div>
             </div>
-            <div class="definition">${escapeHtml(definition)}</div>
+            <div class="wotd-date">${wotdSelectedDate === today ? 'Today' : escapeHtml(dateLabel)}</div>
+            ${renderEntryBody(parseEntry(word, dictionary[word]))}
         </div>
+        ${renderWotdCalendar()}
+    `;
+    
+    if (currentTab === 'wotd') {
+        syncRoute();
+    }
+}
+
+// Month grid of past words; days after today stay locked
+function renderWotdCalendar() {
+    const { year, month } = wotdCalendarMonth;
+    const today = localDateKey();
+    const seen = new Set(JSON.parse(localStorage.getItem('wotdHistory') || '[]').map(item => item.date));
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = new Date(year, month, 1).getDay();
+    const monthLabel = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    const isLatestMonth = localDateKey(new Date(year, month, 1)).slice(0, 7) >= today.slice(0, 7);
+    
+    let html = `
+        <div class="wotd-calendar">
+            <div class="wotd-calendar-header">
+                <button onclick="changeWotdMonth(-1)" aria-label="Previous month"><i class="fas fa-chevron-left"></i></button>
+                <h4>${escapeHtml(monthLabel)}</h4>
+                <button onclick="changeWotdMonth(1)" aria-label="Next month" ${isLatestMonth ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+            </div>
+            <div class="wotd-calendar-grid">
     `;
     
-    if (history.length > 0) {
-        html += '<h4 style="margin-top: 20px;">Past Words of the Day</h4>';
-        history.slice(1).forEach(item => {
+    ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(day => {
+        html += `<div class="wotd-weekday">${day}</div>`;
+    });
+    for (let i = 0; i < leadingBlanks; i++) {
+        html += '<div></div>';
+    }
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateKey = localDateKey(new Date(year, month, day));
+        const classes = ['wotd-day'];
+        if (dateKey === wotdSelectedDate) classes.push('selected');
+        if (dateKey === today) classes.push('today');
+        if (seen.has(dateKey)) classes.push('seen');
+        
+        if (dateKey > today) {
+            html += `<div class="${classes.join(' ')} locked"><span>${day}</span></div>`;
+        } else {
+            const word = getWordOfTheDay(dateKey);
             html += `
-                <div class="word-card">
-                    <div class="word-header">
-                        <h3 class="word">${escapeHtml(item.word)}</h3>
-                        <small>${item.date}</small>
-                    </div>
-                    <div class="definition">${escapeHtml(truncateDefinition(item.definition, 100))}</div>
-                </div>
+                <button class="${classes.join(' ')}" onclick="displayWotdView('${dateKey}')" title="${escapeAttribute(word)}">
+                    <span>${day}</span>
+                    <small>${escapeHtml(word)}</small>
+                </button>
             `;
-        });
+        }
     }
     
-    document.getElementById('wotdContent').innerHTML = html;
+    return html + '</div></div>';
+}
+
+function changeWotdMonth(offset) {
+    const { year, month } = wotdCalendarMonth;
+    const target = new Date(year, month + offset, 1);
+    wotdCalendarMonth = { year: target.getFullYear(), month: target.getMonth() };
+    displayWotdView(wotdSelectedDate);
 }
 
 // ============================================
@@ -843,9 +4449,8 @@ function updateSidebar() {
             `;
         } else {
             let html = '';
-            [...favorites].slice(0, 5).forEach(fav => {
-                const [word] = fav.split(':');
-                html += `<div class="recent-word" onclick="performSearch('${escapeHtml(word)}')">${escapeHtml(word)}</div>`;
+            [...favorites.values()].slice(-5).reverse().forEach(record => {
+                html += `<div class="recent-word" onclick="performSearch('${escapeHtml(escapeJsString(record.word))}')">${escapeHtml(record.word)}</div>`;
             });
             sidebarFavorites.innerHTML = html;
         }
@@ -863,7 +4468,7 @@ function updateSidebar() {
         } else {
             let html = '';
             recentSearches.slice(0, 5).forEach(word => {
-                html += `<div class="recent-word" onclick="performSearch('${escapeHtml(word)}')">${escapeHtml(word)}</div>`;
+                html += `<div class="recent-word" onclick="performSearch('${escapeHtml(escapeJsString(word))}')">${escapeHtml(word)}</div>`;
             });
             recentContainer.innerHTML = html;
         }
@@ -901,6 +4506,19 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Escape text for a value inside a double-quoted HTML attribute
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Escape text for a single-quoted string inside an inline onclick attribute
+function escapeJsString(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/"/g, '\\x22');
+}
+
 function truncateDefinition(text, maxLength) {
     if (text.length <= maxLength) return text;
     return text.substr(0, maxLength) + '...';
@@ -912,5 +4530,5 @@ function truncateDefinition(text, maxLength) {
 
 document.addEventListener('DOMContentLoaded', initializeApp);
 
-// Refresh server connection periodically
-setInterval(checkServerConnection, 30000); // Every 30 seconds
+// Follow the browser's network state; checks are scheduled by the connectivity code
+setupConnectivityListeners();
@@ -0,0 +1,94 @@
+// ============================================
+// THUMAL SERVICE WORKER
+// Precaches the app shell and dictionary so Offline mode keeps working
+// without a network. Bump CACHE_VERSION whenever any of these files change;
+// the page then shows an "update available" banner.
+// ============================================
+
+const CACHE_VERSION = 'thumal-v36';
+
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'dictionary-core.js',
+    'dictionary-worker.js',
+    'style.css',
+    'sudoku.html',
+    'dictionary.json',
+    'dictionary-version.json',
+    'manifest.json'
+];
+
+// Checked on every load so dictionary updates (and their deltas) are seen
+// without waiting for a new app version; the cache is only a fallback.
+// dictionary.json goes with its manifest, or a full download could be a stale
+// cached copy saved under the new version number.
+const NETWORK_FIRST = [/\/dictionary-version\.json$/, /\/dictionary\.json$/, /\/deltas\//];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_FILES))
+    );
+});
+
+// Drop caches left behind by older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('thumal-') && key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache-first for our own files; API calls and CDN assets go to the network
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    if (NETWORK_FIRST.some(pattern => pattern.test(new URL(request.url).pathname))) {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    // A 404 or 500 must not replace the last good manifest or delta
+                    if (!response.ok) {
+                        return caches.match(request, { ignoreSearch: true }).then(cached => cached || response);
+                    }
+                    const copy = response.clone();
+                    caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                    return response;
+                })
+                .catch(() => caches.match(request, { ignoreSearch: true }))
+        );
+        return;
+    }
+    
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            
+            return fetch(request).catch(() => {
+                // Offline navigation to an uncached URL still gets the app
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw new Error(`Offline and not cached: ${request.url}`);
+            });
+        })
+    );
+});